@@ -0,0 +1,162 @@
+import { spawn } from 'child_process';
+import { isValidKey, normalizeKey, normalizeModifiers } from './keyboard.js';
+import { readConfigFile } from './config.js';
+
+export const ACTION_ID_PATTERN = /^[\w-]{1,64}$/;
+export const MAX_ACTIONS = 64;
+const MAX_LABEL_LENGTH = 40;
+const MAX_ICON_LENGTH = 8;
+
+// Actions every host knows by name. Media keys go through the input driver like any
+// key tap; locking the screen differs per platform (see LOCK_SCREEN).
+export const BUILTIN_ACTIONS = {
+  playPause: { label: 'Play / Pause', icon: '⏯️', group: 'Media', key: 'audio_play' },
+  previousTrack: { label: 'Previous', icon: '⏮️', group: 'Media', key: 'audio_prev' },
+  nextTrack: { label: 'Next', icon: '⏭️', group: 'Media', key: 'audio_next' },
+  volumeDown: { label: 'Volume down', icon: '🔉', group: 'Media', key: 'audio_vol_down' },
+  volumeUp: { label: 'Volume up', icon: '🔊', group: 'Media', key: 'audio_vol_up' },
+  mute: { label: 'Mute', icon: '🔇', group: 'Media', key: 'audio_mute' },
+  lockScreen: { label: 'Lock screen', icon: '🔒', group: 'System', lockScreen: true }
+};
+
+// The panel hosts get without an actions file
+export const DEFAULT_ACTIONS = Object.keys(BUILTIN_ACTIONS).map(builtin => ({ builtin }));
+
+const LOCK_SCREEN = {
+  darwin: { key: 'q', modifiers: ['command', 'control'] },
+  win32: { command: ['rundll32.exe', 'user32.dll,LockWorkStation'] },
+  linux: { command: ['loginctl', 'lock-session'] }
+};
+
+export class ActionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ActionError';
+  }
+}
+
+// Start a program without a shell and without waiting for it to exit (launching an
+// app shouldn't hold up the socket). Resolves once it has started.
+export function launchCommand([program, ...args]) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(program, args, { detached: true, stdio: 'ignore', windowsHide: true });
+    child.once('error', reject);
+    child.once('spawn', () => {
+      child.unref();
+      resolve();
+    });
+  });
+}
+
+const optionalString = (definition, field, maxLength, where) => {
+  const value = definition[field];
+  if (value !== undefined && (typeof value !== 'string' || value.length === 0 || [...value].length > maxLength)) {
+    throw new ActionError(`${where}: ${field} must be a string of up to ${maxLength} characters`);
+  }
+  return value;
+};
+
+// Check one entry from an actions file and turn it into { id, label, icon, group, key, modifiers }
+// or { ..., command }. Entries either name a built-in ({ builtin: 'volumeUp' }, optionally
+// relabelled) or define a key combo or a command; commands are a fixed argv run without a
+// shell, so a client can only ever trigger them, not change what runs.
+export function normalizeAction(definition, index, platform = process.platform) {
+  const where = `Action ${index + 1}`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new ActionError(`${where}: must be an object`);
+  }
+
+  let merged = definition;
+  let id = definition.id;
+  if (definition.builtin !== undefined) {
+    if (!Object.hasOwn(BUILTIN_ACTIONS, definition.builtin)) {
+      throw new ActionError(`${where}: unknown builtin ${JSON.stringify(definition.builtin)} (one of ${Object.keys(BUILTIN_ACTIONS).join(', ')})`);
+    }
+    const { builtin, ...overrides } = definition;
+    merged = { ...BUILTIN_ACTIONS[builtin], ...overrides };
+    id = definition.id ?? builtin;
+  }
+
+  if (typeof id !== 'string' || !ACTION_ID_PATTERN.test(id)) {
+    throw new ActionError(`${where}: id may only contain letters, digits, _ and - (up to 64)`);
+  }
+  const action = {
+    id,
+    label: optionalString(merged, 'label', MAX_LABEL_LENGTH, where) ?? id,
+    icon: optionalString(merged, 'icon', MAX_ICON_LENGTH, where) ?? null,
+    group: optionalString(merged, 'group', MAX_LABEL_LENGTH, where) ?? null
+  };
+
+  let target = merged;
+  if (merged.lockScreen) {
+    target = LOCK_SCREEN[platform];
+    if (!target) {
+      return null; // nothing to lock with on this platform
+    }
+  }
+
+  const kinds = ['key', 'command'].filter(kind => target[kind] !== undefined);
+  if (kinds.length !== 1) {
+    throw new ActionError(`${where} (${id}): needs exactly one of key or command`);
+  }
+
+  if (target.key !== undefined) {
+    const modifiers = normalizeModifiers(target.modifiers ?? [], platform);
+    if (!isValidKey(target.key) || !modifiers) {
+      throw new ActionError(`${where} (${id}): unknown key ${[...[].concat(target.modifiers ?? []), target.key].join('+')}`);
+    }
+    return { ...action, key: normalizeKey(target.key), modifiers };
+  }
+
+  const { command } = target;
+  if (!Array.isArray(command) || !command[0] || !command.every(part => typeof part === 'string')) {
+    throw new ActionError(`${where} (${id}): command must be a list of program and arguments, e.g. [open, -a, Calculator]`);
+  }
+  return { ...action, command };
+}
+
+// Read an actions file (JSON or YAML with an `actions` list)
+export function readActionsFile(file) {
+  const { actions, ...rest } = readConfigFile(file);
+  const unknown = Object.keys(rest);
+  if (unknown.length > 0) {
+    throw new ActionError(`${file}: unknown setting${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (expected an actions list)`);
+  }
+  if (!Array.isArray(actions)) {
+    throw new ActionError(`${file}: actions must be a list`);
+  }
+  return actions;
+}
+
+// The host's quick actions, by id. `launch` starts command actions (see launchCommand).
+export function createQuickActions(definitions = DEFAULT_ACTIONS, { platform = process.platform, launch = launchCommand } = {}) {
+  if (definitions.length > MAX_ACTIONS) {
+    throw new ActionError(`At most ${MAX_ACTIONS} actions can be defined`);
+  }
+  const actions = new Map();
+  definitions.forEach((definition, index) => {
+    const action = normalizeAction(definition, index, platform);
+    if (!action) return;
+    if (actions.has(action.id)) {
+      throw new ActionError(`Action ${index + 1}: duplicate id ${action.id}`);
+    }
+    actions.set(action.id, action);
+  });
+
+  // What clients get to see: never the command behind an action
+  const list = () => [...actions.values()].map(({ id, label, icon, group }) => ({ id, label, icon, group }));
+
+  const get = (id) => actions.get(id) || null;
+
+  async function run(id, driver) {
+    const action = actions.get(id);
+    if (action.key !== undefined) {
+      driver.keyTap(action.key, action.modifiers);
+    } else {
+      await launch(action.command);
+    }
+    return action;
+  }
+
+  return { list, get, run };
+}
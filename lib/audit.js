@@ -0,0 +1,55 @@
+import { appendFile, mkdir, rename, stat } from 'fs/promises';
+import { dirname } from 'path';
+
+const ignoreMissing = (error) => {
+  if (error.code !== 'ENOENT') throw error;
+};
+
+// Append-only JSON-lines log of security-relevant events. Once `file` would grow past
+// `maxBytes` it is renamed to `file.1` (older copies shift up to `file.<maxFiles>`,
+// the oldest is dropped) and a new file is started. Writes are queued so events stay
+// in order without blocking the caller.
+export function createAuditLog({
+  file,
+  maxBytes = 10 * 1024 * 1024,
+  maxFiles = 5,
+  now = () => new Date(),
+  onError = (error) => console.error('Audit log write failed:', error)
+}) {
+  let size = null; // bytes in the current file, read on first write
+  let queue = Promise.resolve();
+
+  async function rotate() {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      await rename(`${file}.${index}`, `${file}.${index + 1}`).catch(ignoreMissing);
+    }
+    await rename(file, `${file}.1`).catch(ignoreMissing);
+    size = 0;
+  }
+
+  async function append(line) {
+    if (size === null) {
+      await mkdir(dirname(file), { recursive: true });
+      size = await stat(file).then(stats => stats.size, () => 0);
+    }
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxBytes) {
+      await rotate();
+    }
+    await appendFile(file, line);
+    size += bytes;
+  }
+
+  function record(event, details = {}) {
+    const line = `${JSON.stringify({ time: now().toISOString(), event, ...details })}\n`;
+    queue = queue.then(() => append(line)).catch(onError);
+    return queue;
+  }
+
+  // Resolves once everything recorded so far is on disk
+  function flush() {
+    return queue;
+  }
+
+  return { file, record, flush };
+}
@@ -0,0 +1,14 @@
+import { parentPort } from 'worker_threads';
+import { encodeFrame } from './encode.js';
+
+// Worker side of createFrameEncoder: encode each frame it is sent and post it back
+parentPort.on('message', ({ id, image, options }) => {
+  try {
+    const { buffer, ...frame } = encodeFrame(image, options);
+    // A copy with an ArrayBuffer of its own, so it can be handed over rather than cloned
+    const bytes = new Uint8Array(buffer);
+    parentPort.postMessage({ id, frame: { ...frame, buffer: bytes } }, [bytes.buffer]);
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
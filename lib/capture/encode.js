@@ -0,0 +1,172 @@
+import zlib from 'zlib';
+import { Worker } from 'worker_threads';
+import jpeg from 'jpeg-js';
+
+export const FRAME_FORMATS = ['jpeg', 'png'];
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// Shrink an RGBA image so it is at most `maxWidth` wide, averaging each block of
+// source pixels (a plain box filter keeps text far more legible than skipping pixels)
+export function downscale(image, maxWidth) {
+  if (image.width <= maxWidth) {
+    return image;
+  }
+
+  const width = maxWidth;
+  const height = Math.max(1, Math.round(image.height * maxWidth / image.width));
+  const data = Buffer.alloc(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const fromY = Math.floor(y * scaleY);
+    const toY = Math.max(fromY + 1, Math.floor((y + 1) * scaleY));
+    for (let x = 0; x < width; x++) {
+      const fromX = Math.floor(x * scaleX);
+      const toX = Math.max(fromX + 1, Math.floor((x + 1) * scaleX));
+      let r = 0, g = 0, b = 0, count = 0;
+      for (let sy = fromY; sy < toY; sy++) {
+        let offset = (sy * image.width + fromX) * 4;
+        for (let sx = fromX; sx < toX; sx++, offset += 4) {
+          r += image.data[offset];
+          g += image.data[offset + 1];
+          b += image.data[offset + 2];
+          count++;
+        }
+      }
+      const target = (y * width + x) * 4;
+      data[target] = r / count;
+      data[target + 1] = g / count;
+      data[target + 2] = b / count;
+      data[target + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// Minimal truecolour PNG encoder (alpha is dropped - screenshots are opaque)
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  // Each scanline starts with its filter type (0 = none)
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0, target = 0; y < height; y++) {
+    raw[target++] = 0;
+    for (let x = 0, source = y * width * 4; x < width; x++, source += 4) {
+      raw[target++] = data[source];
+      raw[target++] = data[source + 1];
+      raw[target++] = data[source + 2];
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 6 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Encode a captured RGBA frame for sending to a phone
+export function encodeFrame(image, { format = 'jpeg', quality = 60, maxWidth = 1280 } = {}) {
+  const scaled = downscale(image, maxWidth);
+  const buffer = format === 'png'
+    ? encodePng(scaled)
+    : jpeg.encode(scaled, quality).data;
+
+  return {
+    buffer,
+    format,
+    mime: MIME_TYPES[format],
+    width: scaled.width,
+    height: scaled.height
+  };
+}
+
+// Runs encodeFrame on a worker thread, one frame at a time. Scaling and encoding a
+// full-HD screenshot takes tens of milliseconds (around 100 for JPEG), which would
+// otherwise hold up input from every phone. The worker starts with the first frame
+// and again after a crash; it never keeps the process alive on its own.
+export function createFrameEncoder() {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map(); // id -> { resolve, reject }
+
+  function failAll(error) {
+    for (const request of pending.values()) {
+      request.reject(error);
+    }
+    pending.clear();
+    worker = null;
+  }
+
+  function start() {
+    const thread = new Worker(new URL('./encode-worker.js', import.meta.url));
+    thread.unref();
+    thread.on('message', ({ id, frame, error }) => {
+      const request = pending.get(id);
+      pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve({ ...frame, buffer: Buffer.from(frame.buffer.buffer, frame.buffer.byteOffset, frame.buffer.byteLength) });
+      }
+    });
+    // Crashed: whatever it was working on is lost, and the next frame starts a new one
+    thread.on('error', (error) => worker === thread && failAll(error));
+    thread.on('exit', (code) => worker === thread && failAll(new Error(`Frame encoder exited with code ${code}`)));
+    worker = thread;
+  }
+
+  function encode(image, options) {
+    if (!worker) {
+      start();
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      worker.postMessage({ id, image, options });
+    });
+  }
+
+  async function close() {
+    const thread = worker;
+    failAll(new Error('Frame encoder closed'));
+    await thread?.terminate();
+  }
+
+  return { encode, close };
+}
@@ -0,0 +1,52 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { createRobotjsCapturer } from './robotjs.js';
+import { createMockCapturer } from './mock.js';
+
+const BUILT_IN_CAPTURERS = {
+  robotjs: createRobotjsCapturer,
+  mock: createMockCapturer
+};
+
+// Like input drivers, anything that isn't a built-in name is a path to a module
+// whose default export (or `createCapturer`) builds the capturer
+async function resolveFactory(name) {
+  if (BUILT_IN_CAPTURERS[name]) {
+    return BUILT_IN_CAPTURERS[name];
+  }
+
+  const module = await import(pathToFileURL(resolve(name)).href);
+  const factory = module.default || module.createCapturer;
+  if (typeof factory !== 'function') {
+    throw new Error(`Capturer module ${name} does not export a factory function`);
+  }
+  return factory;
+}
+
+// Load the configured screen capturer. A capturer has a `capture({ x, y, width, height })`
+// method returning (or resolving with) an RGBA image `{ width, height, data }`.
+// Returns null when capture is off or unavailable; streaming is then disabled.
+export async function loadScreenCapturer(name = 'robotjs', options = {}, logger = console) {
+  if (name === 'none') {
+    return null;
+  }
+
+  try {
+    const factory = await resolveFactory(name);
+    const capturer = await factory(options);
+    if (typeof capturer.capture !== 'function') {
+      throw new Error('missing method: capture');
+    }
+
+    capturer.name = capturer.name || name;
+    logger.info(`✅ Screen capturer loaded: ${capturer.name} - screen streaming enabled`);
+    return capturer;
+  } catch (error) {
+    logger.warn(`⚠️ Screen capturer "${name}" not available - screen streaming disabled`);
+    logger.warn(`   Reason: ${error.message}`);
+    return null;
+  }
+}
+
+export { createRobotjsCapturer, createMockCapturer };
+export { createFrameEncoder, encodeFrame, encodePng, downscale, FRAME_FORMATS } from './encode.js';
@@ -0,0 +1,31 @@
+// Capturer that draws a test pattern instead of reading the screen. The pattern
+// only changes when `advance()` is called, so tests can check unchanged frames are skipped.
+export function createMockCapturer() {
+  const regions = [];
+  let frame = 0;
+
+  return {
+    name: 'mock',
+    regions,
+
+    capture(region = { x: 0, y: 0, width: 320, height: 200 }) {
+      regions.push({ ...region });
+      const { width, height } = region;
+      const data = Buffer.alloc(width * height * 4);
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const offset = (y * width + x) * 4;
+          data[offset] = (x + frame * 40) % 256;
+          data[offset + 1] = y % 256;
+          data[offset + 2] = (frame * 80) % 256;
+          data[offset + 3] = 255;
+        }
+      }
+      return { width, height, data };
+    },
+
+    advance() {
+      frame++;
+    }
+  };
+}
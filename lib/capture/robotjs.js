@@ -0,0 +1,28 @@
+// Screen capturer backed by robotjs (native, optional dependency)
+export async function createRobotjsCapturer() {
+  const robot = (await import('robotjs')).default;
+
+  return {
+    name: 'robotjs',
+    // Without a region the whole primary screen is captured
+    capture(region) {
+      const bitmap = region
+        ? robot.screen.capture(region.x, region.y, region.width, region.height)
+        : robot.screen.capture();
+
+      // robotjs hands back BGRA rows that may be padded (and 2x on HiDPI screens)
+      const data = Buffer.alloc(bitmap.width * bitmap.height * 4);
+      for (let row = 0; row < bitmap.height; row++) {
+        let source = row * bitmap.byteWidth;
+        let target = row * bitmap.width * 4;
+        for (let column = 0; column < bitmap.width; column++, source += bitmap.bytesPerPixel, target += 4) {
+          data[target] = bitmap.image[source + 2];
+          data[target + 1] = bitmap.image[source + 1];
+          data[target + 2] = bitmap.image[source];
+          data[target + 3] = 255;
+        }
+      }
+      return { width: bitmap.width, height: bitmap.height, data };
+    }
+  };
+}
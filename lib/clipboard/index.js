@@ -0,0 +1,50 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { createSystemClipboard } from './system.js';
+import { createMockClipboard } from './mock.js';
+
+const BUILT_IN_PROVIDERS = {
+  system: createSystemClipboard,
+  mock: createMockClipboard
+};
+
+// Like drivers and capturers, anything that isn't a built-in name is a path to a
+// module whose default export (or `createClipboard`) builds the provider
+async function resolveFactory(name) {
+  if (BUILT_IN_PROVIDERS[name]) {
+    return BUILT_IN_PROVIDERS[name];
+  }
+
+  const module = await import(pathToFileURL(resolve(name)).href);
+  const factory = module.default || module.createClipboard;
+  if (typeof factory !== 'function') {
+    throw new Error(`Clipboard module ${name} does not export a factory function`);
+  }
+  return factory;
+}
+
+// Load the configured clipboard provider. A provider has `read()` resolving with the
+// host clipboard text and `write(text)`. Clipboard sync is opt-in: 'off' (the default)
+// returns null, as does a provider that can't be loaded.
+export async function loadClipboardProvider(name = 'off', options = {}, logger = console) {
+  if (name === 'off') {
+    return null;
+  }
+
+  try {
+    const factory = await resolveFactory(name);
+    const provider = await factory(options);
+    const missing = ['read', 'write'].filter(method => typeof provider[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`missing methods: ${missing.join(', ')}`);
+    }
+
+    provider.name = provider.name || name;
+    logger.info(`✅ Clipboard provider loaded: ${provider.name} - clipboard sync enabled`);
+    return provider;
+  } catch (error) {
+    logger.warn(`⚠️ Clipboard provider "${name}" not available - clipboard sync disabled`);
+    logger.warn(`   Reason: ${error.message}`);
+    return null;
+  }
+}
@@ -0,0 +1,22 @@
+// In-memory clipboard for tests; `writes` keeps everything that was written
+export function createMockClipboard({ text = '' } = {}) {
+  const writes = [];
+  let current = text;
+
+  return {
+    name: 'mock',
+    writes,
+
+    read: async () => current,
+
+    async write(value) {
+      writes.push(value);
+      current = value;
+    },
+
+    // Simulate someone copying on the host
+    set(value) {
+      current = value;
+    }
+  };
+}
@@ -0,0 +1,80 @@
+import { execFile, spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { delimiter, join } from 'path';
+
+const MAX_READ_BYTES = 1024 * 1024; // the server applies its own, smaller limit on top
+
+const onPath = (binary) => (process.env.PATH || '').split(delimiter).some(dir => dir && existsSync(join(dir, binary)));
+
+// Command pairs for reading and writing the clipboard, by platform. On Linux the first
+// tool that is installed wins (wl-clipboard under Wayland, then xclip or xsel).
+function findCommands(platform) {
+  if (platform === 'darwin') {
+    return { tool: 'pbcopy', read: ['pbpaste', []], write: ['pbcopy', []] };
+  }
+  if (platform === 'win32') {
+    const powershell = ['powershell.exe', ['-NoProfile', '-NonInteractive', '-Command']];
+    return {
+      tool: 'powershell',
+      read: [powershell[0], [...powershell[1], 'Get-Clipboard -Raw']],
+      write: [powershell[0], [...powershell[1], 'Set-Clipboard -Value ([Console]::In.ReadToEnd())']]
+    };
+  }
+
+  const candidates = [
+    ...(process.env.WAYLAND_DISPLAY ? [{ tool: 'wl-copy', read: ['wl-paste', ['--no-newline']], write: ['wl-copy', []] }] : []),
+    { tool: 'xclip', read: ['xclip', ['-selection', 'clipboard', '-o']], write: ['xclip', ['-selection', 'clipboard', '-i']] },
+    { tool: 'xsel', read: ['xsel', ['--clipboard', '--output']], write: ['xsel', ['--clipboard', '--input']] }
+  ];
+  const found = candidates.find(candidate => onPath(candidate.tool) && onPath(candidate.read[0]));
+  if (!found) {
+    throw new Error('no clipboard tool found (install wl-clipboard, xclip or xsel)');
+  }
+  return found;
+}
+
+const TIMEOUT = 3000;
+
+function read([binary, args]) {
+  return new Promise((resolve, reject) => {
+    execFile(binary, args, { encoding: 'utf8', timeout: TIMEOUT, maxBuffer: MAX_READ_BYTES }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`${binary} failed: ${error.message}`));
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+// xclip and wl-copy fork a background process that keeps serving the clipboard
+// with the parent's stdout / stderr, so writes don't capture them and are done
+// when the tool itself exits
+function write([binary, args], text) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(binary, args, { stdio: ['pipe', 'ignore', 'ignore'], timeout: TIMEOUT });
+    child.on('error', (error) => reject(new Error(`${binary} failed: ${error.message}`)));
+    child.on('exit', (code, signal) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${binary} failed: ${signal ? `killed by ${signal}` : `exit code ${code}`}`));
+      }
+    });
+    child.stdin.on('error', () => {}); // a tool that dies early is reported by 'exit'
+    child.stdin.end(text);
+  });
+}
+
+// Host clipboard through the platform's command-line tools
+export function createSystemClipboard({ platform = process.platform } = {}) {
+  const commands = findCommands(platform);
+
+  return {
+    name: `system (${commands.tool})`,
+
+    read: () => read(commands.read),
+
+    write: (text) => write(commands.write, text)
+  };
+}
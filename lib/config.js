@@ -0,0 +1,285 @@
+import { readFileSync } from 'fs';
+import { extname, resolve } from 'path';
+import YAML from 'yaml';
+import { parseDisplayLayout } from './displays.js';
+import { LOG_FORMATS, LOG_LEVELS } from './logger.js';
+import { DEFAULT_MOTION_SETTINGS, MOTION_LIMITS } from './motion.js';
+import { DEFAULT_UPLOAD_TYPES, createTypeFilter } from './files.js';
+import { createIpAllowlist } from './network.js';
+import { MAX_CLIPBOARD_BYTES } from './protocol.js';
+import { DEFAULT_IP_RATE_LIMIT, normalizeRateLimits } from './rate-limit.js';
+import { STREAM_LIMITS } from './screen-stream.js';
+
+export class ConfigError extends Error {
+  constructor(problems, source = 'configuration') {
+    super(`Invalid ${source}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Every setting, with the env var that sets it and its default. Durations are given in
+// seconds (in the file and the env) and converted to ms. `reload: true` settings are
+// re-applied to the running server on SIGHUP; the rest need a restart.
+export const CONFIG_SCHEMA = {
+  port: { env: 'PORT', type: 'integer', min: 0, max: 65535, default: 9090 },
+  host: { env: 'HOST', type: 'string', default: '0.0.0.0' },
+  // Interface name or address for pair URLs; the best LAN interface when unset
+  networkInterface: { env: 'NETWORK_INTERFACE', type: 'string', default: null },
+  // Advertise the server over mDNS / DNS-SD, as mdnsName ("Remote Control (<host name>)" by default)
+  mdns: { env: 'MDNS', type: 'boolean', default: true },
+  mdnsName: { env: 'MDNS_NAME', type: 'string', default: null },
+  // HTTPS / WSS with tlsCert + tlsKey, or a self-signed certificate generated into tlsDir
+  https: { env: 'HTTPS', type: 'boolean', default: false },
+  tlsCert: { env: 'TLS_CERT', type: 'string', default: null },
+  tlsKey: { env: 'TLS_KEY', type: 'string', default: null },
+  tlsDir: { env: 'TLS_DIR', type: 'string', default: 'certs' },
+  requirePairing: { env: 'REQUIRE_PAIRING', type: 'boolean', default: true },
+  pairingSecret: { env: 'PAIRING_SECRET', type: 'string', default: null },
+  pairingCodeTtl: { env: 'PAIRING_CODE_TTL', type: 'seconds', min: 30, default: 5 * 60 },
+  pairingTokenTtl: { env: 'PAIRING_TOKEN_TTL', type: 'seconds', min: 60, default: 24 * 60 * 60 },
+  sessionTimeout: { env: 'SESSION_TIMEOUT', type: 'seconds', min: 10, default: 30 * 60, reload: true },
+  resumeGrace: { env: 'SESSION_RESUME_GRACE', type: 'seconds', min: 0, default: 60, reload: true },
+  cleanupInterval: { env: 'CLEANUP_INTERVAL', type: 'seconds', min: 1, default: 5 * 60, reload: true },
+  // Exact origins or patterns with * wildcards; FRONTEND_ORIGINS adds to the list
+  frontendOrigins: {
+    env: 'FRONTEND_ORIGINS',
+    type: 'origins',
+    default: ['http://localhost:5173', 'http://localhost:5174'],
+    reload: true
+  },
+  // Addresses / CIDR ranges allowed to connect, "lan" for private ranges; unset allows all
+  allowedIps: { env: 'ALLOWED_IPS', type: 'ipList', default: null, reload: true },
+  // Host names besides localhost and the host's own addresses and names, e.g. behind a reverse proxy
+  allowedHosts: { env: 'ALLOWED_HOSTS', type: 'hostList', default: [] },
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string', default: null },
+  rateLimits: { env: 'RATE_LIMITS', type: 'rateLimits', default: {}, reload: true },
+  // { rate, burst } in the file; IP_MESSAGE_RATE sets the rate with bursts of twice that
+  ipRateLimit: { env: 'IP_MESSAGE_RATE', type: 'ipRateLimit', default: DEFAULT_IP_RATE_LIMIT, reload: true },
+  maxConnectionsPerIp: { env: 'MAX_CONNECTIONS_PER_IP', type: 'integer', min: 1, default: 10, reload: true },
+  inputDriver: { env: 'INPUT_DRIVER', type: 'string', default: 'robotjs' },
+  mouseDelay: { env: 'MOUSE_SPEED', type: 'integer', min: 0, max: 1000, default: 2 },
+  displays: { env: 'DISPLAYS', type: 'displays', default: null },
+  macroDir: { env: 'MACRO_DIR', type: 'string', default: null },
+  slideKeys: { env: 'SLIDE_KEYS', type: 'object', default: {} },
+  // JSON or YAML file with the quick-action panel; the built-in media and lock actions without one
+  actionsFile: { env: 'ACTIONS_FILE', type: 'string', default: null },
+  // JSON or YAML file with gamepad profiles; the built-in media, arrow-key and WASD pads without one
+  gamepadFile: { env: 'GAMEPAD_FILE', type: 'string', default: null },
+  screenCapture: { env: 'SCREEN_CAPTURE', type: 'string', default: 'robotjs' },
+  screenMaxFps: { env: 'SCREEN_MAX_FPS', type: 'number', ...STREAM_LIMITS.fps, default: 5 },
+  screenMaxKbps: { env: 'SCREEN_MAX_KBPS', type: 'integer', ...STREAM_LIMITS.kbps, default: 4000 },
+  screenMaxWidth: { env: 'SCREEN_MAX_WIDTH', type: 'integer', min: 64, max: 7680, default: 960 },
+  // Clipboard sync is opt-in: system, mock or a path to a provider module
+  clipboard: { env: 'CLIPBOARD', type: 'string', default: 'off' },
+  clipboardMaxBytes: { env: 'CLIPBOARD_MAX_BYTES', type: 'integer', min: 1, max: MAX_CLIPBOARD_BYTES, default: 16 * 1024 },
+  // File transfer is off until the directories are set
+  inboxDir: { env: 'INBOX_DIR', type: 'string', default: null },
+  outboxDir: { env: 'OUTBOX_DIR', type: 'string', default: null },
+  uploadMaxMb: { env: 'UPLOAD_MAX_MB', type: 'integer', min: 1, default: 50 },
+  uploadTypes: { env: 'UPLOAD_TYPES', type: 'fileTypes', default: DEFAULT_UPLOAD_TYPES },
+  pointerSensitivity: { env: 'POINTER_SENSITIVITY', type: 'number', ...MOTION_LIMITS.sensitivity, default: DEFAULT_MOTION_SETTINGS.sensitivity },
+  pointerAcceleration: { env: 'POINTER_ACCELERATION', type: 'number', ...MOTION_LIMITS.acceleration, default: DEFAULT_MOTION_SETTINGS.acceleration },
+  pointerSmoothing: { env: 'POINTER_SMOOTHING', type: 'number', ...MOTION_LIMITS.smoothing, default: DEFAULT_MOTION_SETTINGS.smoothing },
+  logLevel: { env: 'LOG_LEVEL', type: 'enum', values: Object.keys(LOG_LEVELS), default: 'info' },
+  logFormat: { env: 'LOG_FORMAT', type: 'enum', values: LOG_FORMATS, default: 'pretty' },
+  auditLog: { env: 'AUDIT_LOG', type: 'string', default: 'logs/audit.log' }, // "off" disables it
+  auditLogMaxMb: { env: 'AUDIT_LOG_MAX_MB', type: 'integer', min: 1, default: 10 },
+  auditLogFiles: { env: 'AUDIT_LOG_FILES', type: 'integer', min: 1, default: 5 }
+};
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false, on: true, off: false };
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+// "https://*.vercel.app" -> /^https:\/\/[^/]+\.vercel\.app$/; plain origins stay strings
+export function compileOrigin(origin) {
+  if (typeof origin !== 'string' || !origin.includes('*')) {
+    return origin;
+  }
+  return new RegExp(`^${origin.split('*').map(escapeRegExp).join('[^/]+')}$`);
+}
+
+const range = ({ min, max }) =>
+  min !== undefined && max !== undefined ? `between ${min} and ${max}`
+    : min !== undefined ? `at least ${min}` : `at most ${max}`;
+
+function checkNumber(spec, value, integer) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    throw new Error(`must be ${integer ? 'a whole number' : 'a number'}`);
+  }
+  if ((spec.min !== undefined && number < spec.min) || (spec.max !== undefined && number > spec.max)) {
+    throw new Error(`must be ${range(spec)}`);
+  }
+  return number;
+}
+
+// Env values arrive as strings, so object settings accept JSON text too
+function parseObject(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new Error('must be valid JSON');
+    }
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error('must be an object');
+  }
+  return value;
+}
+
+const PARSERS = {
+  string: (spec, value) => {
+    if (typeof value !== 'string' && typeof value !== 'number') throw new Error('must be a string');
+    return String(value);
+  },
+  integer: (spec, value) => checkNumber(spec, value, true),
+  number: (spec, value) => checkNumber(spec, value, false),
+  seconds: (spec, value) => checkNumber(spec, value, false) * 1000,
+  boolean: (spec, value) => {
+    const parsed = typeof value === 'boolean' ? value : BOOLEANS[String(value).toLowerCase()];
+    if (parsed === undefined) throw new Error('must be true or false');
+    return parsed;
+  },
+  enum: (spec, value) => {
+    if (!spec.values.includes(value)) throw new Error(`must be one of ${spec.values.join(', ')}`);
+    return value;
+  },
+  object: (spec, value) => parseObject(value),
+  origins: (spec, value) => {
+    const list = typeof value === 'string' ? value.split(',').map(origin => origin.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || !list.every(origin => typeof origin === 'string' && /^https?:\/\/./.test(origin))) {
+      throw new Error('must be a list of http(s) origins');
+    }
+    return list;
+  },
+  ipList: (spec, value) => {
+    const list = typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('must be a list of IP addresses or CIDR ranges');
+    }
+    createIpAllowlist(list);
+    return list;
+  },
+  hostList: (spec, value) => {
+    const list = typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || !list.every(name => typeof name === 'string' && /^[\w.-]+$|^[\da-f:]+$/i.test(name))) {
+      throw new Error('must be a list of host names or addresses, without ports');
+    }
+    return list;
+  },
+  fileTypes: (spec, value) => {
+    const list = typeof value === 'string' ? value.split(',').map(entry => entry.trim()).filter(Boolean) : value;
+    if (!Array.isArray(list) || list.length === 0) {
+      throw new Error('must be a list of MIME types, type/* patterns or .extensions');
+    }
+    createTypeFilter(list);
+    return list;
+  },
+  rateLimits: (spec, value) => {
+    const limits = parseObject(value);
+    normalizeRateLimits(limits);
+    return limits;
+  },
+  ipRateLimit: (spec, value) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      const rate = checkNumber({ min: 1 }, value, false);
+      return { rate, burst: rate * 2 };
+    }
+    const limit = parseObject(value);
+    return {
+      rate: checkNumber({ min: 1 }, limit.rate, false),
+      burst: checkNumber({ min: 1 }, limit.burst, false)
+    };
+  },
+  displays: (spec, value) => {
+    parseDisplayLayout(value);
+    return value;
+  }
+};
+
+// Read a JSON or YAML (.yaml / .yml) config file into a plain object
+export function readConfigFile(file) {
+  let parsed;
+  try {
+    const text = readFileSync(file, 'utf8');
+    parsed = ['.yaml', '.yml'].includes(extname(file).toLowerCase()) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ConfigError([error.message], `config file ${file}`);
+  }
+  if (parsed === null || parsed === undefined) {
+    return {};
+  }
+  if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new ConfigError(['expected a mapping of setting names to values'], `config file ${file}`);
+  }
+  return parsed;
+}
+
+// Merge defaults < config file < env vars into one validated settings object. The file
+// is `file`, or CONFIG_FILE from the env. Every problem is collected and thrown together
+// as a ConfigError, so a broken setup fails at startup with one readable message.
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const problems = [];
+  const values = file ? readConfigFile(resolve(file)) : {};
+  const config = {};
+
+  for (const key of Object.keys(values)) {
+    if (!Object.hasOwn(CONFIG_SCHEMA, key)) {
+      problems.push(`${key}: unknown setting (in ${file})`);
+    }
+  }
+
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const parse = (value, source) => {
+      try {
+        return PARSERS[spec.type](spec, value);
+      } catch (error) {
+        problems.push(`${source}: ${error.message} (got ${JSON.stringify(value)})`);
+        return undefined;
+      }
+    };
+
+    let value = spec.type === 'seconds' ? spec.default * 1000 : spec.default;
+    if (Object.hasOwn(values, key) && values[key] !== null) {
+      value = parse(values[key], `${key} (in ${file})`);
+    }
+    const envValue = env[spec.env];
+    if (envValue !== undefined && envValue !== '') {
+      const parsed = parse(envValue, spec.env);
+      // Env origins extend the list instead of replacing it
+      value = spec.type === 'origins' && parsed ? [...(value || []), ...parsed] : parsed;
+    }
+    config[key] = value;
+  }
+
+  if (Boolean(config.tlsCert) !== Boolean(config.tlsKey)) {
+    problems.push('tlsCert / tlsKey (TLS_CERT / TLS_KEY): set both or neither');
+  }
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+  config.configFile = file ? resolve(file) : null;
+  return config;
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Compare two loaded configs: `reloadable` holds the changed settings that can be applied
+// to the running server, `restartRequired` names the changed ones that can't
+export function diffConfig(previous, next) {
+  const reloadable = {};
+  const restartRequired = [];
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (same(previous[key], next[key])) continue;
+    if (spec.reload) {
+      reloadable[key] = next[key];
+    } else {
+      restartRequired.push(key);
+    }
+  }
+  return { reloadable, restartRequired };
+}
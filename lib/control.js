@@ -0,0 +1,100 @@
+// Tracks which session drives the host. One session holds control at a time;
+// others can wait in a FIFO queue or just watch.
+export function createControlArbiter({ onChange = () => {} } = {}) {
+  let owner = null;
+  const queue = [];
+
+  const changed = () => onChange(getState());
+
+  function getState() {
+    return { owner, queue: [...queue] };
+  }
+
+  function getRole(sessionId) {
+    if (sessionId === owner) return 'controller';
+    if (queue.includes(sessionId)) return 'queued';
+    return 'viewer';
+  }
+
+  function dequeue(sessionId) {
+    const index = queue.indexOf(sessionId);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+    return index !== -1;
+  }
+
+  // Take control if nobody has it. Returns whether the session is now in control.
+  function claimIfFree(sessionId) {
+    if (owner === null) {
+      owner = sessionId;
+      dequeue(sessionId);
+      changed();
+    }
+    return owner === sessionId;
+  }
+
+  // Returns the session's role after the request: 'controller' or 'queued'
+  function request(sessionId) {
+    if (claimIfFree(sessionId)) {
+      return 'controller';
+    }
+    if (!queue.includes(sessionId)) {
+      queue.push(sessionId);
+      changed();
+    }
+    return 'queued';
+  }
+
+  // Give up control (passing it to the next in line) or leave the queue
+  function release(sessionId) {
+    if (owner === sessionId) {
+      owner = queue.shift() ?? null;
+      changed();
+      return true;
+    }
+    if (dequeue(sessionId)) {
+      changed();
+      return true;
+    }
+    return false;
+  }
+
+  // Hand control straight to another session; only the current owner may do this
+  function grant(fromSessionId, toSessionId) {
+    if (owner !== fromSessionId) {
+      return false;
+    }
+    dequeue(toSessionId);
+    owner = toSessionId;
+    changed();
+    return true;
+  }
+
+  // Admin override: force control to a session, or take it away from everyone with null
+  function override(sessionId) {
+    if (sessionId !== null) {
+      dequeue(sessionId);
+    }
+    owner = sessionId;
+    changed();
+  }
+
+  function remove(sessionId) {
+    if (owner === sessionId || queue.includes(sessionId)) {
+      release(sessionId);
+    }
+  }
+
+  return {
+    getState,
+    getRole,
+    claimIfFree,
+    request,
+    release,
+    grant,
+    override,
+    remove,
+    isController: (sessionId) => owner === sessionId
+  };
+}
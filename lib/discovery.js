@@ -0,0 +1,34 @@
+import os from 'os';
+import { Bonjour } from 'bonjour-service';
+import { PROTOCOL_VERSION } from './protocol.js';
+
+export const SERVICE_TYPE = 'remote-control';
+
+// The name phones resolve over mDNS, e.g. "studio-mac.local"
+export const getMdnsHostname = (hostname = os.hostname()) => `${hostname.replace(/\.local\.?$/i, '')}.local`;
+
+// Advertise the server over mDNS / DNS-SD as _remote-control._tcp (for apps that browse
+// for it) and _http._tcp / _https._tcp (so it shows up in browsers' and OS service lists).
+// Multicast problems are logged, never fatal - discovery is a convenience.
+export function startDiscovery({
+  name = `Remote Control (${os.hostname()})`,
+  port,
+  scheme = 'http',
+  pairingRequired = true,
+  logger = console,
+  bonjour = new Bonjour({}, (error) => logger.warn(`📡 mDNS unavailable: ${error.message}`))
+}) {
+  const host = getMdnsHostname();
+  const txt = { path: '/', pairing: pairingRequired ? 'required' : 'off', protocol: String(PROTOCOL_VERSION) };
+
+  const services = [SERVICE_TYPE, scheme].map(type => bonjour.publish({ name, type, port, host, txt }));
+  for (const service of services) {
+    service.on('error', (error) => logger.warn(`📡 mDNS: could not advertise ${service.type}: ${error.message}`));
+  }
+
+  function stop() {
+    return new Promise(resolve => bonjour.unpublishAll(() => bonjour.destroy(resolve)));
+  }
+
+  return { name, host, url: `${scheme}://${host}:${port}/`, stop };
+}
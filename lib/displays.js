@@ -0,0 +1,117 @@
+export const MAX_DISPLAYS = 16;
+
+// X-style geometry: WIDTHxHEIGHT+X+Y (offsets may be negative, e.g. 1920x1080-1920+0)
+const GEOMETRY = /^(\d+)x(\d+)([+-]\d+)([+-]\d+)$/;
+
+function invalidLayout(problem) {
+  return new Error(`Invalid display layout: ${problem}`);
+}
+
+function checkDisplay(display, index) {
+  const { x, y, width, height } = display;
+  if (![x, y].every(Number.isInteger) || ![width, height].every(value => Number.isInteger(value) && value > 0)) {
+    throw invalidLayout(`display ${index + 1} needs integer x, y and positive width, height`);
+  }
+  return {
+    name: typeof display.name === 'string' && display.name ? display.name : `display-${index + 1}`,
+    x,
+    y,
+    width,
+    height
+  };
+}
+
+// Parse a virtual-desktop layout, either a JSON array of { name, x, y, width, height }
+// or comma-separated geometries like "2560x1440+0+0,1920x1080+2560+180"
+export function parseDisplayLayout(spec) {
+  if (Array.isArray(spec)) {
+    if (spec.length === 0 || spec.length > MAX_DISPLAYS) {
+      throw invalidLayout(`expected 1 to ${MAX_DISPLAYS} displays`);
+    }
+    return spec.map(checkDisplay);
+  }
+
+  const text = String(spec).trim();
+  if (text.startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      throw invalidLayout('not valid JSON');
+    }
+    return parseDisplayLayout(parsed);
+  }
+
+  return parseDisplayLayout(text.split(',').map((geometry, index) => {
+    const match = GEOMETRY.exec(geometry.trim());
+    if (!match) {
+      throw invalidLayout(`"${geometry.trim()}" is not WIDTHxHEIGHT+X+Y`);
+    }
+    const [, width, height, x, y] = match.map(Number);
+    return { name: `display-${index + 1}`, x, y, width, height };
+  }));
+}
+
+const contains = (display, x, y) =>
+  x >= display.x && x < display.x + display.width &&
+  y >= display.y && y < display.y + display.height;
+
+const clampInto = (display, x, y) => ({
+  x: Math.max(display.x, Math.min(display.x + display.width - 1, Math.round(x))),
+  y: Math.max(display.y, Math.min(display.y + display.height - 1, Math.round(y)))
+});
+
+// The host's displays in moveMouse coordinates. Index 0 is the primary display.
+export function createDisplayLayout(displays = []) {
+  const list = displays.map((display, index) => ({ index, ...display }));
+
+  function get(index) {
+    return list[index] || null;
+  }
+
+  function indexAt(x, y) {
+    const display = list.find(candidate => contains(candidate, x, y));
+    return display ? display.index : -1;
+  }
+
+  // Keep a point on screen: points in the gaps between or beyond displays
+  // snap to the nearest edge of the closest display
+  function clamp(x, y) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const display of list) {
+      const point = clampInto(display, x, y);
+      const distance = Math.hypot(point.x - x, point.y - y);
+      if (distance < bestDistance) {
+        best = point;
+        bestDistance = distance;
+      }
+    }
+    return best || { x: Math.round(x), y: Math.round(y) };
+  }
+
+  // Map a normalized (0-1) position on the phone onto a display
+  function toAbsolute(index, x, y) {
+    const display = list[index];
+    return {
+      x: display.x + Math.round(x * (display.width - 1)),
+      y: display.y + Math.round(y * (display.height - 1))
+    };
+  }
+
+  function center(index) {
+    return toAbsolute(index, 0.5, 0.5);
+  }
+
+  return {
+    get count() {
+      return list.length;
+    },
+    list: () => list.map(display => ({ ...display })),
+    get,
+    indexAt,
+    clamp,
+    toAbsolute,
+    center
+  };
+}
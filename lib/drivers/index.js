@@ -0,0 +1,64 @@
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { createRobotjsDriver } from './robotjs.js';
+import { createMockDriver } from './mock.js';
+import { createXdotoolDriver } from './xdotool.js';
+
+const BUILT_IN_DRIVERS = {
+  robotjs: createRobotjsDriver,
+  mock: createMockDriver,
+  xdotool: createXdotoolDriver
+};
+
+// Every driver exposes the same robotjs-style surface
+export const DRIVER_METHODS = [
+  'getScreenSize',
+  'getMousePos',
+  'moveMouse',
+  'mouseClick',
+  'mouseToggle',
+  'scrollMouse',
+  'keyTap',
+  'keyToggle',
+  'typeString'
+];
+
+// Anything that isn't a built-in name is treated as a path to a module whose
+// default export (or `createDriver`) builds the driver
+async function resolveFactory(name) {
+  if (BUILT_IN_DRIVERS[name]) {
+    return BUILT_IN_DRIVERS[name];
+  }
+
+  const module = await import(pathToFileURL(resolve(name)).href);
+  const factory = module.default || module.createDriver;
+  if (typeof factory !== 'function') {
+    throw new Error(`Driver module ${name} does not export a factory function`);
+  }
+  return factory;
+}
+
+// Load the configured input driver. Returns null when it can't be loaded, in
+// which case the server keeps running without remote control (server mode).
+// Drivers get the logger in their options for errors they hit later on.
+export async function loadInputDriver(name = 'robotjs', options = {}, logger = console) {
+  try {
+    const factory = await resolveFactory(name);
+    const driver = await factory({ logger, ...options });
+
+    const missing = DRIVER_METHODS.filter(method => typeof driver[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`missing methods: ${missing.join(', ')}`);
+    }
+
+    driver.name = driver.name || name;
+    logger.info(`✅ Input driver loaded: ${driver.name} - remote control enabled`);
+    return driver;
+  } catch (error) {
+    logger.warn(`⚠️ Input driver "${name}" not available - remote control disabled (server mode)`);
+    logger.warn(`   Reason: ${error.message}`);
+    return null;
+  }
+}
+
+export { createRobotjsDriver, createMockDriver, createXdotoolDriver };
@@ -0,0 +1,36 @@
+// In-memory driver that records every call instead of touching the host.
+// Used for tests and for running the full pipeline headless.
+export function createMockDriver({ screenSize = { width: 1920, height: 1080 } } = {}) {
+  const calls = [];
+  const position = { x: Math.round(screenSize.width / 2), y: Math.round(screenSize.height / 2) };
+
+  const record = (method, ...args) => {
+    calls.push({ method, args, at: Date.now() });
+  };
+
+  return {
+    name: 'mock',
+    calls,
+
+    getScreenSize: () => ({ ...screenSize }),
+    getMousePos: () => ({ ...position }),
+
+    moveMouse(x, y) {
+      position.x = x;
+      position.y = y;
+      record('moveMouse', x, y);
+    },
+    mouseClick: (button = 'left', double = false) => record('mouseClick', button, double),
+    mouseToggle: (state, button = 'left') => record('mouseToggle', state, button),
+    scrollMouse: (x, y) => record('scrollMouse', x, y),
+    keyTap: (key, modifiers = []) => record('keyTap', key, modifiers),
+    keyToggle: (key, state, modifiers = []) => record('keyToggle', key, state, modifiers),
+    typeString: (text) => record('typeString', text),
+
+    // Calls to a single method, e.g. driver.callsTo('keyTap')
+    callsTo: (method) => calls.filter(call => call.method === method),
+    reset() {
+      calls.length = 0;
+    }
+  };
+}
@@ -0,0 +1,20 @@
+// Input driver backed by robotjs (native, optional dependency)
+export async function createRobotjsDriver({ mouseDelay = 2 } = {}) {
+  const robot = (await import('robotjs')).default;
+
+  // Set mouse speed for smoother movement
+  robot.setMouseDelay(mouseDelay);
+
+  return {
+    name: 'robotjs',
+    getScreenSize: () => robot.getScreenSize(),
+    getMousePos: () => robot.getMousePos(),
+    moveMouse: (x, y) => robot.moveMouse(x, y),
+    mouseClick: (button = 'left', double = false) => robot.mouseClick(button, double),
+    mouseToggle: (state, button = 'left') => robot.mouseToggle(state, button),
+    scrollMouse: (x, y) => robot.scrollMouse(x, y),
+    keyTap: (key, modifiers = []) => robot.keyTap(key, modifiers),
+    keyToggle: (key, state, modifiers = []) => robot.keyToggle(key, state, modifiers),
+    typeString: (text) => robot.typeString(text)
+  };
+}
@@ -0,0 +1,145 @@
+import { execFile, execFileSync } from 'child_process';
+
+const BUTTONS = { left: 1, middle: 2, right: 3 };
+
+// robotjs key names -> X keysyms
+const KEYSYMS = {
+  backspace: 'BackSpace',
+  delete: 'Delete',
+  enter: 'Return',
+  tab: 'Tab',
+  escape: 'Escape',
+  space: 'space',
+  insert: 'Insert',
+  printscreen: 'Print',
+  up: 'Up',
+  down: 'Down',
+  left: 'Left',
+  right: 'Right',
+  home: 'Home',
+  end: 'End',
+  pageup: 'Page_Up',
+  pagedown: 'Page_Down',
+  command: 'super',
+  alt: 'alt',
+  control: 'ctrl',
+  shift: 'shift',
+  right_shift: 'Shift_R',
+  audio_mute: 'XF86AudioMute',
+  audio_vol_down: 'XF86AudioLowerVolume',
+  audio_vol_up: 'XF86AudioRaiseVolume',
+  audio_play: 'XF86AudioPlay',
+  audio_stop: 'XF86AudioStop',
+  audio_pause: 'XF86AudioPause',
+  audio_prev: 'XF86AudioPrev',
+  audio_next: 'XF86AudioNext'
+};
+
+// `xdotool key` takes keysym names, not characters: '.' has to be 'period', and a
+// literal '+' would be read as the combo separator
+const CHARACTER_KEYSYMS = {
+  ' ': 'space', '!': 'exclam', '"': 'quotedbl', '#': 'numbersign', '$': 'dollar', '%': 'percent',
+  '&': 'ampersand', "'": 'apostrophe', '(': 'parenleft', ')': 'parenright', '*': 'asterisk',
+  '+': 'plus', ',': 'comma', '-': 'minus', '.': 'period', '/': 'slash', ':': 'colon',
+  ';': 'semicolon', '<': 'less', '=': 'equal', '>': 'greater', '?': 'question', '@': 'at',
+  '[': 'bracketleft', '\\': 'backslash', ']': 'bracketright', '^': 'asciicircum',
+  '_': 'underscore', '`': 'grave', '{': 'braceleft', '|': 'bar', '}': 'braceright', '~': 'asciitilde'
+};
+
+const toKeysym = (key) => {
+  if ([...key].length === 1) {
+    if (CHARACTER_KEYSYMS[key]) return CHARACTER_KEYSYMS[key];
+    if (/^[a-z0-9]$/i.test(key)) return key;
+    // Anything else by code point, e.g. 'é' -> U00E9
+    return `U${key.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+  }
+  if (KEYSYMS[key]) return KEYSYMS[key];
+  if (/^f\d+$/.test(key)) return key.toUpperCase();
+  if (/^numpad_\d$/.test(key)) return `KP_${key.slice(-1)}`;
+  return key;
+};
+
+const toCombo = (key, modifiers = []) => [...modifiers, key].map(toKeysym).join('+');
+
+// Input driver that shells out to xdotool (X11). Useful where robotjs won't build.
+export function createXdotoolDriver({ binary = 'xdotool', positionCacheMs = 250, logger = console } = {}) {
+  const query = (...args) => execFileSync(binary, args, { encoding: 'utf8', timeout: 1000 });
+
+  // Fails fast when xdotool isn't installed or there's no X display
+  const [width, height] = query('getdisplaygeometry').trim().split(/\s+/).map(Number);
+
+  let position = null;
+  let positionReadAt = 0;
+
+  // Commands run one at a time in the order they were sent, so a drag's mousedown,
+  // moves and mouseup (or quick key taps) can't reach the X server out of order.
+  // Returns a promise that settles once this command has finished.
+  let queue = Promise.resolve();
+  const run = (...args) => {
+    queue = queue.then(() => new Promise((resolve) => {
+      execFile(binary, args, { timeout: 2000 }, (error) => {
+        if (error) {
+          logger.error(`xdotool ${args[0]} failed:`, error.message);
+        }
+        resolve();
+      });
+    }));
+    return queue;
+  };
+
+  return {
+    name: 'xdotool',
+
+    getScreenSize: () => ({ width, height }),
+
+    // Reading the position spawns a process, so reuse a recent value during bursts of moves
+    getMousePos() {
+      if (!position || Date.now() - positionReadAt > positionCacheMs) {
+        const output = query('getmouselocation', '--shell');
+        position = {
+          x: Number(/X=(\d+)/.exec(output)[1]),
+          y: Number(/Y=(\d+)/.exec(output)[1])
+        };
+        positionReadAt = Date.now();
+      }
+      return { ...position };
+    },
+
+    moveMouse(x, y) {
+      position = { x: Math.round(x), y: Math.round(y) };
+      positionReadAt = Date.now();
+      return run('mousemove', String(position.x), String(position.y));
+    },
+
+    mouseClick: (button = 'left', double = false) => {
+      const args = ['click'];
+      if (double) args.push('--repeat', '2');
+      return run(...args, String(BUTTONS[button] || 1));
+    },
+
+    mouseToggle: (state, button = 'left') => {
+      return run(state === 'up' ? 'mouseup' : 'mousedown', String(BUTTONS[button] || 1));
+    },
+
+    scrollMouse(x, y) {
+      // Same directions as robotjs on X11: buttons 4/5 scroll up/down, 6/7 left/right
+      const steps = [
+        [y > 0 ? 4 : 5, Math.abs(y)],
+        [x > 0 ? 6 : 7, Math.abs(x)]
+      ];
+      for (const [button, count] of steps) {
+        if (count > 0) {
+          run('click', '--repeat', String(Math.min(Math.round(count), 50)), String(button));
+        }
+      }
+    },
+
+    keyTap: (key, modifiers = []) => run('key', '--clearmodifiers', toCombo(key, modifiers)),
+
+    keyToggle: (key, state, modifiers = []) => {
+      return run(state === 'up' ? 'keyup' : 'keydown', toCombo(key, modifiers));
+    },
+
+    typeString: (text) => run('type', '--delay', '2', '--', text)
+  };
+}
@@ -0,0 +1,168 @@
+import crypto from 'crypto';
+import { createWriteStream } from 'fs';
+import { link, mkdir, readdir, stat, unlink } from 'fs/promises';
+import { extname, join } from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+
+export const DEFAULT_UPLOAD_TYPES = ['image/*', 'video/*', 'audio/*', 'application/pdf', 'text/plain'];
+export const MAX_FILE_NAME_LENGTH = 120;
+
+// File types by extension. An upload's type comes from its name, not the Content-Type
+// the phone sends, because the extension is what decides how the host opens the file.
+export const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.zip': 'application/zip',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// "image/*", "application/pdf", "*/*" or an extension like ".key"
+export const FILE_TYPE_PATTERN = /^(\*\/\*|[\w.+-]+\/(\*|[\w.+-]+)|\.[\w-]+)$/;
+
+export class FileTransferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FileTransferError';
+    this.status = status;
+  }
+}
+
+export const fileTypeOf = (name) => EXTENSION_TYPES[extname(name).toLowerCase()] || 'application/octet-stream';
+
+// Checks a file name against a list of allowed types (see FILE_TYPE_PATTERN)
+export function createTypeFilter(patterns) {
+  const invalid = patterns.find(pattern => typeof pattern !== 'string' || !FILE_TYPE_PATTERN.test(pattern));
+  if (invalid !== undefined) {
+    throw new Error(`${JSON.stringify(invalid)} is not a MIME type, type/* pattern or .extension`);
+  }
+  return (name) => {
+    const extension = extname(name).toLowerCase();
+    const [family] = fileTypeOf(name).split('/');
+    return patterns.some(pattern => pattern === '*/*'
+      || pattern.toLowerCase() === extension
+      || pattern === fileTypeOf(name)
+      || pattern === `${family}/*`);
+  };
+}
+
+// A name that is safe to create in the inbox: no directories, reserved characters or
+// leading dots, and short enough for any file system (the extension is kept)
+export function sanitizeFileName(name) {
+  const base = String(name ?? '').split(/[/\\]/).pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '')
+    .replace(/^[.\s]+|[.\s]+$/g, '');
+  const extension = extname(base).slice(0, 16);
+  const stem = base.slice(0, base.length - extname(base).length).slice(0, MAX_FILE_NAME_LENGTH - extension.length);
+  return stem ? `${stem}${extension}` : `upload${extension}`;
+}
+
+const withSuffix = (name, n) => {
+  const extension = extname(name);
+  return `${name.slice(0, name.length - extension.length)} (${n})${extension}`;
+};
+
+// Files sent from the phone. Bodies are streamed into a hidden temp file in `directory`
+// and only get their real name once complete, so a dropped or oversized upload never
+// leaves a partial file behind. Existing files are never overwritten: "photo.jpg"
+// becomes "photo (1).jpg" and so on.
+export function createFileInbox({ directory, maxBytes, types = DEFAULT_UPLOAD_TYPES }) {
+  const isAllowed = createTypeFilter(types);
+
+  // Reject an upload before reading its body
+  function check(name, length) {
+    if (!isAllowed(name)) {
+      throw new FileTransferError(`${fileTypeOf(name)} files (${extname(name) || 'no extension'}) are not accepted`, 415);
+    }
+    if (length > maxBytes) {
+      throw new FileTransferError(`File is ${length} bytes; the limit is ${maxBytes}`, 413);
+    }
+  }
+
+  // Stream `source` into the inbox. Resolves with { name, path, bytes, type }.
+  // `onProgress(bytes)` is called as data arrives; `signal` aborts the upload.
+  async function receive(source, { name, length = null, onProgress = () => {}, signal } = {}) {
+    const fileName = sanitizeFileName(name);
+    check(fileName, length ?? 0);
+    await mkdir(directory, { recursive: true });
+
+    const tempPath = join(directory, `.upload-${crypto.randomBytes(8).toString('hex')}.part`);
+    let bytes = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        bytes += chunk.length;
+        if (bytes > maxBytes) {
+          return callback(new FileTransferError(`File is larger than the limit of ${maxBytes} bytes`, 413));
+        }
+        onProgress(bytes);
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(source, counter, createWriteStream(tempPath, { mode: 0o644 }), { signal });
+      if (length !== null && bytes !== length) {
+        throw new FileTransferError(`Upload ended after ${bytes} of ${length} bytes`);
+      }
+      for (let n = 0; ; n++) {
+        const candidate = n === 0 ? fileName : withSuffix(fileName, n);
+        try {
+          await link(tempPath, join(directory, candidate));
+          return { name: candidate, path: join(directory, candidate), bytes, type: fileTypeOf(candidate) };
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+      }
+    } finally {
+      await unlink(tempPath).catch(() => {});
+    }
+  }
+
+  return { directory, maxBytes, types, check, receive };
+}
+
+// Files the host has staged for the phone: the regular, non-hidden files directly in `directory`
+export function createFileOutbox({ directory }) {
+  async function list() {
+    let entries;
+    try {
+      entries = await readdir(directory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.')) continue;
+      const { size, mtime } = await stat(join(directory, entry.name));
+      files.push({ name: entry.name, size, type: fileTypeOf(entry.name), modifiedAt: mtime });
+    }
+    return files.sort((a, b) => b.modifiedAt - a.modifiedAt);
+  }
+
+  // Resolves with the listed file called `name` (plus its path), or null
+  async function find(name) {
+    const file = (await list()).find(candidate => candidate.name === name);
+    return file ? { ...file, path: join(directory, file.name) } : null;
+  }
+
+  return { directory, list, find };
+}
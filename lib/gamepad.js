@@ -0,0 +1,304 @@
+import { isValidKey, normalizeKey, normalizeModifiers } from './keyboard.js';
+import { readConfigFile } from './config.js';
+import { MAX_GAMEPAD_BUTTONS, MOUSE_BUTTONS } from './protocol.js';
+
+export const PROFILE_ID_PATTERN = /^[\w-]{1,64}$/;
+export const MAX_PROFILES = 16;
+const MAX_LABEL_LENGTH = 40;
+
+// What the stick drives: the pointer at a speed set by how far it's pushed, held
+// arrow / WASD keys (diagonals hold two), or nothing
+export const STICK_KEYS = {
+  arrows: { up: 'up', down: 'down', left: 'left', right: 'right' },
+  wasd: { up: 'w', down: 's', left: 'a', right: 'd' }
+};
+export const STICK_MODES = ['mouse', ...Object.keys(STICK_KEYS), 'none'];
+const STICK_KEY_THRESHOLD = 0.25; // of the shaped axis (see shapeStick) - about halfway past the dead zone
+
+export const DEFAULT_GAMEPAD_PROFILES = [
+  {
+    id: 'media',
+    label: 'Media PC',
+    stick: 'mouse',
+    buttons: [
+      { id: 'a', label: 'Click', mouse: 'left' },
+      { id: 'b', label: 'Back', key: 'escape' },
+      { id: 'x', label: 'Menu', mouse: 'right' },
+      { id: 'y', label: 'Play', key: 'audio_play' },
+      { id: 'start', label: 'OK', key: 'enter' }
+    ]
+  },
+  {
+    id: 'arrows',
+    label: 'Arrow keys',
+    stick: 'arrows',
+    buttons: [
+      { id: 'a', label: 'A', key: 'z' },
+      { id: 'b', label: 'B', key: 'x' },
+      { id: 'x', label: 'Space', key: 'space' },
+      { id: 'y', label: 'Shift', key: 'shift' },
+      { id: 'start', label: 'Start', key: 'enter' },
+      { id: 'select', label: 'Esc', key: 'escape' }
+    ]
+  },
+  {
+    id: 'wasd',
+    label: 'WASD',
+    stick: 'wasd',
+    buttons: [
+      { id: 'a', label: 'Jump', key: 'space' },
+      { id: 'b', label: 'Crouch', key: 'control' },
+      { id: 'x', label: 'Use', key: 'e' },
+      { id: 'y', label: 'Sprint', key: 'shift' },
+      { id: 'start', label: 'Menu', key: 'escape' },
+      { id: 'select', label: 'Map', key: 'tab' }
+    ]
+  }
+];
+
+const DEFAULT_STICK_SPEED = 1200; // pixels per second with the stick pushed all the way
+const DEFAULT_DEADZONE = 0.15;
+
+export class GamepadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GamepadError';
+  }
+}
+
+const label = (definition, where) => {
+  const { label: value } = definition;
+  if (value !== undefined && (typeof value !== 'string' || value.length === 0 || [...value].length > MAX_LABEL_LENGTH)) {
+    throw new GamepadError(`${where}: label must be a string of up to ${MAX_LABEL_LENGTH} characters`);
+  }
+  return value;
+};
+
+const numberIn = (definition, field, min, max, fallback, where) => {
+  const value = definition[field] ?? fallback;
+  if (typeof value !== 'number' || !(value >= min && value <= max)) {
+    throw new GamepadError(`${where}: ${field} must be a number between ${min} and ${max}`);
+  }
+  return value;
+};
+
+// A button is held as long as the phone holds it: a key (with optional modifiers)
+// or a mouse button. Returns { id, label, key, modifiers } or { id, label, mouse }.
+function normalizeButton(definition, index, where, platform) {
+  const at = `${where}, button ${index + 1}`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new GamepadError(`${at}: must be an object`);
+  }
+  const { id } = definition;
+  if (typeof id !== 'string' || !PROFILE_ID_PATTERN.test(id)) {
+    throw new GamepadError(`${at}: id may only contain letters, digits, _ and - (up to 64)`);
+  }
+  const button = { id, label: label(definition, at) ?? id };
+
+  if ((definition.key === undefined) === (definition.mouse === undefined)) {
+    throw new GamepadError(`${at} (${id}): needs exactly one of key or mouse`);
+  }
+  if (definition.mouse !== undefined) {
+    if (!MOUSE_BUTTONS.includes(definition.mouse)) {
+      throw new GamepadError(`${at} (${id}): mouse must be one of ${MOUSE_BUTTONS.join(', ')}`);
+    }
+    return { ...button, mouse: definition.mouse };
+  }
+  const modifiers = normalizeModifiers(definition.modifiers ?? [], platform);
+  if (!isValidKey(definition.key) || !modifiers) {
+    throw new GamepadError(`${at} (${id}): unknown key ${[...[].concat(definition.modifiers ?? []), definition.key].join('+')}`);
+  }
+  return { ...button, key: normalizeKey(definition.key), modifiers };
+}
+
+// Check one profile from a gamepad file and fill in the stick defaults
+export function normalizeGamepadProfile(definition, index, platform = process.platform) {
+  const where = `Profile ${index + 1}`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new GamepadError(`${where}: must be an object`);
+  }
+  const { id, stick = 'mouse', buttons = [] } = definition;
+  if (typeof id !== 'string' || !PROFILE_ID_PATTERN.test(id)) {
+    throw new GamepadError(`${where}: id may only contain letters, digits, _ and - (up to 64)`);
+  }
+  if (!STICK_MODES.includes(stick)) {
+    throw new GamepadError(`${where} (${id}): stick must be one of ${STICK_MODES.join(', ')}`);
+  }
+  if (!Array.isArray(buttons) || buttons.length > MAX_GAMEPAD_BUTTONS) {
+    throw new GamepadError(`${where} (${id}): buttons must be a list of at most ${MAX_GAMEPAD_BUTTONS}`);
+  }
+
+  const normalized = buttons.map((button, buttonIndex) => normalizeButton(button, buttonIndex, `${where} (${id})`, platform));
+  const duplicate = normalized.find((button, buttonIndex) => normalized.findIndex(other => other.id === button.id) !== buttonIndex);
+  if (duplicate) {
+    throw new GamepadError(`${where} (${id}): duplicate button ${duplicate.id}`);
+  }
+
+  return {
+    id,
+    label: label(definition, where) ?? id,
+    stick,
+    speed: numberIn(definition, 'speed', 50, 10000, DEFAULT_STICK_SPEED, `${where} (${id})`),
+    deadzone: numberIn(definition, 'deadzone', 0, 0.9, DEFAULT_DEADZONE, `${where} (${id})`),
+    buttons: normalized
+  };
+}
+
+// Read a gamepad file (JSON or YAML with a `profiles` list)
+export function readGamepadFile(file) {
+  const { profiles, ...rest } = readConfigFile(file);
+  const unknown = Object.keys(rest);
+  if (unknown.length > 0) {
+    throw new GamepadError(`${file}: unknown setting${unknown.length === 1 ? '' : 's'} ${unknown.join(', ')} (expected a profiles list)`);
+  }
+  if (!Array.isArray(profiles)) {
+    throw new GamepadError(`${file}: profiles must be a list`);
+  }
+  return profiles;
+}
+
+// The host's gamepad profiles, by id; the first one is the default
+export function createGamepadProfiles(definitions = DEFAULT_GAMEPAD_PROFILES, { platform = process.platform } = {}) {
+  if (definitions.length === 0 || definitions.length > MAX_PROFILES) {
+    throw new GamepadError(`Between 1 and ${MAX_PROFILES} gamepad profiles must be defined`);
+  }
+  const profiles = new Map();
+  definitions.forEach((definition, index) => {
+    const profile = normalizeGamepadProfile(definition, index, platform);
+    if (profiles.has(profile.id)) {
+      throw new GamepadError(`Profile ${index + 1}: duplicate id ${profile.id}`);
+    }
+    profiles.set(profile.id, profile);
+  });
+
+  // What the phone needs to draw the pad: never the keys behind the buttons
+  const list = () => [...profiles.values()].map(({ id, label: name, stick, buttons }) => ({
+    id,
+    label: name,
+    stick,
+    buttons: buttons.map(button => ({ id: button.id, label: button.label }))
+  }));
+
+  const get = (id) => (id === undefined ? profiles.values().next().value : profiles.get(id)) || null;
+
+  return { list, get };
+}
+
+// Stick position past the dead zone, rescaled to 0-1 and squared so small pushes
+// give fine control. Returns { x, y } in -1..1.
+export function shapeStick(x, y, deadzone) {
+  const magnitude = Math.min(1, Math.hypot(x, y));
+  if (magnitude <= deadzone) {
+    return { x: 0, y: 0 };
+  }
+  const scaled = ((magnitude - deadzone) / (1 - deadzone)) ** 2;
+  const length = Math.hypot(x, y);
+  return { x: x / length * scaled, y: y / length * scaled };
+}
+
+// Per-session gamepad state. Each `update` is the phone's full pad state (stick and
+// pressed buttons); presses and releases are worked out from the last one. A deflected
+// stick in mouse mode moves the pointer every `frameInterval` until it's centred again.
+// Phones send state at a steady rate, so if none arrives for `timeout` everything is let
+// go - a phone that drops off Wi-Fi mid-game can't leave a key held.
+export function createGamepadController({
+  frameInterval = 16,
+  timeout = 500,
+  onPress = () => {},
+  onRelease = () => {},
+  onMove = () => {},
+  now = Date.now
+} = {}) {
+  let profile = null;
+  let pressed = new Map(); // 'button:<id>' / 'stick:<direction>' -> binding
+  let velocity = { x: 0, y: 0 };
+  let remainder = { x: 0, y: 0 };
+  let lastFrameAt = 0;
+  let frameTimer = null;
+  let watchdog = null;
+
+  function setPressed(next) {
+    for (const [id, binding] of pressed) {
+      if (!next.has(id)) onRelease(binding);
+    }
+    for (const [id, binding] of next) {
+      if (!pressed.has(id)) onPress(binding);
+    }
+    pressed = next;
+  }
+
+  function frame() {
+    const frameAt = now();
+    const seconds = Math.min(frameAt - lastFrameAt, 4 * frameInterval) / 1000;
+    lastFrameAt = frameAt;
+
+    const x = velocity.x * seconds + remainder.x;
+    const y = velocity.y * seconds + remainder.y;
+    const moveX = Math.trunc(x);
+    const moveY = Math.trunc(y);
+    remainder = { x: x - moveX, y: y - moveY };
+    if (moveX !== 0 || moveY !== 0) {
+      onMove(moveX, moveY);
+    }
+  }
+
+  function setVelocity(x, y) {
+    const moving = x !== 0 || y !== 0;
+    velocity = { x, y };
+    if (moving && !frameTimer) {
+      lastFrameAt = now();
+      frameTimer = setInterval(frame, frameInterval);
+      frameTimer.unref?.();
+    } else if (!moving && frameTimer) {
+      clearInterval(frameTimer);
+      frameTimer = null;
+      remainder = { x: 0, y: 0 };
+    }
+  }
+
+  // Apply one state report. `buttons` are ids of the profile's buttons held down.
+  function update(nextProfile, { x = 0, y = 0, buttons = [] }) {
+    if (profile && profile !== nextProfile) {
+      release();
+    }
+    profile = nextProfile;
+
+    const stick = shapeStick(x, y, profile.deadzone);
+    const next = new Map();
+    for (const id of buttons) {
+      const binding = profile.buttons.find(button => button.id === id);
+      if (binding) next.set(`button:${id}`, binding);
+    }
+    const keys = STICK_KEYS[profile.stick];
+    if (keys) {
+      const directions = {
+        left: stick.x < -STICK_KEY_THRESHOLD,
+        right: stick.x > STICK_KEY_THRESHOLD,
+        up: stick.y < -STICK_KEY_THRESHOLD,
+        down: stick.y > STICK_KEY_THRESHOLD
+      };
+      for (const [direction, held] of Object.entries(directions)) {
+        if (held) next.set(`stick:${direction}`, { id: direction, key: keys[direction], modifiers: [] });
+      }
+    }
+    setPressed(next);
+    setVelocity(profile.stick === 'mouse' ? stick.x * profile.speed : 0, profile.stick === 'mouse' ? stick.y * profile.speed : 0);
+
+    clearTimeout(watchdog);
+    watchdog = setTimeout(release, timeout);
+    watchdog.unref?.();
+  }
+
+  // Let go of everything and stop the pointer
+  function release() {
+    clearTimeout(watchdog);
+    watchdog = null;
+    setVelocity(0, 0);
+    setPressed(new Map());
+    profile = null;
+  }
+
+  const isActive = () => profile !== null;
+
+  return { update, release, isActive };
+}
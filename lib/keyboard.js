@@ -0,0 +1,57 @@
+// Key names understood by robotjs (single printable characters are accepted as well)
+export const KEY_NAMES = new Set([
+  'backspace', 'delete', 'enter', 'tab', 'escape', 'space', 'insert', 'printscreen',
+  'up', 'down', 'left', 'right', 'home', 'end', 'pageup', 'pagedown',
+  'command', 'alt', 'control', 'shift', 'right_shift',
+  'audio_mute', 'audio_vol_down', 'audio_vol_up', 'audio_play', 'audio_stop',
+  'audio_pause', 'audio_prev', 'audio_next', 'audio_rewind', 'audio_forward',
+  'audio_repeat', 'audio_random',
+  'lights_mon_up', 'lights_mon_down', 'lights_kbd_toggle', 'lights_kbd_up', 'lights_kbd_down',
+  ...Array.from({ length: 24 }, (_, i) => `f${i + 1}`),
+  ...Array.from({ length: 10 }, (_, i) => `numpad_${i}`)
+]);
+
+// 'mod' is the platform's primary shortcut modifier (command on macOS, control elsewhere)
+export const MODIFIERS = new Set(['alt', 'command', 'control', 'shift', 'mod']);
+
+export const MAX_TYPE_LENGTH = 500;
+
+// Presentation remote actions. Page Up/Down is what hardware clickers send and works in
+// PowerPoint, Keynote, Google Slides and PDF viewers; B blanks the screen in most of them.
+export const SLIDE_KEYS = {
+  next: { key: 'pagedown', modifiers: [] },
+  previous: { key: 'pageup', modifiers: [] },
+  start: { key: 'f5', modifiers: [] },
+  end: { key: 'escape', modifiers: [] },
+  blank: { key: 'b', modifiers: [] }
+};
+
+export function isValidKey(key) {
+  if (typeof key !== 'string') return false;
+  return [...key].length === 1 || KEY_NAMES.has(key.toLowerCase());
+}
+
+export function normalizeKey(key) {
+  return [...key].length === 1 ? key : key.toLowerCase();
+}
+
+// Returns the modifiers robotjs expects, or null if any of them is unknown
+export function normalizeModifiers(modifiers = [], platform = process.platform) {
+  const list = Array.isArray(modifiers) ? modifiers : [modifiers];
+  if (!list.every(modifier => typeof modifier === 'string' && MODIFIERS.has(modifier.toLowerCase()))) {
+    return null;
+  }
+
+  const primary = platform === 'darwin' ? 'command' : 'control';
+  const normalized = list.map(modifier => {
+    const name = modifier.toLowerCase();
+    return name === 'mod' ? primary : name;
+  });
+  return [...new Set(normalized)];
+}
+
+// Strip control characters other than newlines and tabs
+export function sanitizeText(text) {
+  if (typeof text !== 'string') return '';
+  return text.replace(/\r\n?/g, '\n').replace(/[\u0000-\u0008\u000B-\u001F\u007F]/g, '');
+}
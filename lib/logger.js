@@ -0,0 +1,65 @@
+import util from 'util';
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const writeToConsole = (level, line) => {
+  (level === 'warn' || level === 'error' ? process.stderr : process.stdout).write(`${line}\n`);
+};
+
+const serializeError = (error) => ({ name: error.name, message: error.message, stack: error.stack });
+
+// Console-compatible logger (`log` is `info`) with a level threshold. `pretty` prints
+// lines like console.log; `json` prints one object per line with time, level and msg,
+// plus an `error` field for Error arguments and the keys of plain-object arguments.
+export function createLogger({
+  level = 'info',
+  format = 'pretty',
+  fields = {}, // added to every JSON line, e.g. { service: 'remote-control' }
+  write = writeToConsole,
+  now = () => new Date()
+} = {}) {
+  if (!Object.hasOwn(LOG_LEVELS, level)) {
+    throw new Error(`Unknown log level: ${level} (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+  }
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format} (expected ${LOG_FORMATS.join(' or ')})`);
+  }
+  const threshold = LOG_LEVELS[level];
+
+  function toJson(levelName, args) {
+    const words = [];
+    const extra = { ...fields };
+    for (const arg of args) {
+      if (arg instanceof Error) {
+        extra.error = serializeError(arg);
+      } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+        Object.assign(extra, arg);
+      } else {
+        words.push(typeof arg === 'string' ? arg : util.inspect(arg));
+      }
+    }
+
+    const entry = { time: now().toISOString(), level: levelName, msg: words.join(' ') };
+    for (const [key, value] of Object.entries(extra)) {
+      if (!(key in entry)) entry[key] = value;
+    }
+    return JSON.stringify(entry);
+  }
+
+  const emit = (levelName) => (...args) => {
+    if (LOG_LEVELS[levelName] < threshold) return;
+    write(levelName, format === 'json' ? toJson(levelName, args) : util.format(...args));
+  };
+
+  const info = emit('info');
+  return {
+    level,
+    format,
+    debug: emit('debug'),
+    info,
+    log: info,
+    warn: emit('warn'),
+    error: emit('error')
+  };
+}
@@ -0,0 +1,190 @@
+import { mkdir, readFile, readdir, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { INPUT_COMMANDS, parseMessage } from './protocol.js';
+
+export const MACRO_NAME_PATTERN = /^[\w-]{1,64}$/;
+export const MAX_MACRO_STEPS = 2000;
+export const MAX_STEP_DELAY = 10 * 1000; // long pauses are shortened to this when recording
+
+// Input commands a macro may contain (a macro can't start another one, and gamepad
+// state only means something while the phone keeps streaming it)
+export const MACRO_COMMANDS = new Set([...INPUT_COMMANDS].filter(type => type !== 'macroPlay' && type !== 'gamepad'));
+
+export class MacroError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MacroError';
+  }
+}
+
+// Check a macro's steps (e.g. from a PUT body or a hand-edited file). Every message
+// goes through the WebSocket schemas, so playback only runs what a client could send.
+export function validateMacroSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new MacroError('steps must be a non-empty array');
+  }
+  if (steps.length > MAX_MACRO_STEPS) {
+    throw new MacroError(`Macros are limited to ${MAX_MACRO_STEPS} steps`);
+  }
+
+  return steps.map((step, index) => {
+    const delay = step?.delay ?? 0;
+    if (!Number.isFinite(delay) || delay < 0 || delay > MAX_STEP_DELAY) {
+      throw new MacroError(`Step ${index + 1}: delay must be between 0 and ${MAX_STEP_DELAY} ms`);
+    }
+    if (!MACRO_COMMANDS.has(step?.message?.type)) {
+      throw new MacroError(`Step ${index + 1}: ${step?.message?.type || 'message'} can't be used in a macro`);
+    }
+
+    let message;
+    try {
+      message = parseMessage(JSON.stringify(step.message));
+    } catch (error) {
+      throw new MacroError(`Step ${index + 1}: ${error.message}`);
+    }
+    delete message.seq;
+    return { delay: Math.round(delay), message };
+  });
+}
+
+const summarize = (macro) => ({
+  name: macro.name,
+  createdAt: macro.createdAt,
+  steps: macro.steps.length,
+  duration: macro.steps.reduce((total, step) => total + step.delay, 0)
+});
+
+// Macros live as one JSON file per name in `directory`
+export function createMacroStore({ directory }) {
+  const fileFor = (name) => {
+    if (!MACRO_NAME_PATTERN.test(name)) {
+      throw new MacroError('Macro names may only contain letters, digits, _ and - (up to 64)');
+    }
+    return join(directory, `${name}.json`);
+  };
+
+  // Resolves with the macro, or null when there is no macro by that name
+  async function get(name) {
+    let raw;
+    try {
+      raw = await readFile(fileFor(name), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    const macro = JSON.parse(raw);
+    return { ...macro, name, steps: validateMacroSteps(macro.steps) };
+  }
+
+  async function save(name, steps) {
+    const macro = {
+      name,
+      createdAt: new Date().toISOString(),
+      steps: validateMacroSteps(steps)
+    };
+    const file = fileFor(name);
+    await mkdir(directory, { recursive: true });
+    await writeFile(file, JSON.stringify(macro, null, 2));
+    return summarize(macro);
+  }
+
+  async function list() {
+    let files;
+    try {
+      files = await readdir(directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const macros = [];
+    for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+      try {
+        const macro = await get(file.slice(0, -'.json'.length));
+        if (macro) macros.push(summarize(macro));
+      } catch (error) {
+        // Skip broken files instead of hiding every other macro
+      }
+    }
+    return macros;
+  }
+
+  // Resolves with whether a macro was deleted
+  async function remove(name) {
+    try {
+      await unlink(fileFor(name));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  return { get, save, list, remove };
+}
+
+// Collects a session's input commands with the time since the previous one
+export function createMacroRecorder(name, now = Date.now) {
+  const steps = [];
+  let lastAt = now();
+
+  return {
+    name,
+    steps,
+    record(message) {
+      if (steps.length >= MAX_MACRO_STEPS) return false;
+
+      const at = now();
+      const { seq, ...command } = message;
+      steps.push({ delay: Math.min(at - lastAt, MAX_STEP_DELAY), message: command });
+      lastAt = at;
+      return true;
+    }
+  };
+}
+
+// Replay a macro's steps with their recorded timing, `speed` times faster.
+// `run` executes one message; a throw or a rejected promise stops playback, and
+// a returned promise is waited for before the next step. `done` resolves with
+// { status: 'finished' | 'cancelled' | 'failed', reason?, error? }.
+export function playMacro(macro, { speed = 1, run }) {
+  let index = 0;
+  let timer = null;
+  let settled = false;
+  let settle;
+  const done = new Promise(resolve => {
+    settle = resolve;
+  });
+
+  function finish(result) {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    settle(result);
+  }
+
+  function next() {
+    if (index >= macro.steps.length) {
+      finish({ status: 'finished' });
+      return;
+    }
+    const step = macro.steps[index++];
+    timer = setTimeout(async () => {
+      try {
+        await run(step.message);
+      } catch (error) {
+        finish({ status: 'failed', error });
+        return;
+      }
+      if (!settled) next();
+    }, step.delay / speed);
+  }
+
+  next();
+
+  return {
+    name: macro.name,
+    done,
+    cancel: (reason = 'cancelled') => finish({ status: 'cancelled', reason })
+  };
+}
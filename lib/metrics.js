@@ -0,0 +1,96 @@
+// Minimal Prometheus registry: counters, gauges and histograms with labels, rendered
+// in the text exposition format. Counters and gauges can also read their values from
+// existing state on every scrape with `collect`, instead of being updated in place.
+
+export const LATENCY_BUCKETS = [0.0005, 0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+const keyFor = (labels) => JSON.stringify(Object.entries(labels).sort());
+
+export function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, render) {
+    const fullName = `${prefix}${name}`;
+    metrics.push({ type, name: fullName, help, render: () => render(fullName) });
+  }
+
+  // collect: () => number | [{ labels, value }]
+  function simple(type) {
+    return (name, help, { collect } = {}) => {
+      const values = new Map();
+
+      register(type, name, help, (fullName) => {
+        let samples = [...values.values()];
+        if (collect) {
+          const collected = collect();
+          samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+        }
+        return samples.map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${value}`);
+      });
+
+      const sample = (labels) => {
+        const key = keyFor(labels);
+        if (!values.has(key)) values.set(key, { labels, value: 0 });
+        return values.get(key);
+      };
+
+      return {
+        inc(labels = {}, amount = 1) {
+          sample(labels).value += amount;
+        },
+        set(labels = {}, value) {
+          sample(labels).value = value;
+        }
+      };
+    };
+  }
+
+  function histogram(name, help, { buckets = LATENCY_BUCKETS } = {}) {
+    const series = new Map();
+
+    register('histogram', name, help, (fullName) => series.size === 0 ? [] : [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((bound, index) => `${fullName}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+      `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+      `${fullName}_sum${formatLabels(labels)} ${sum}`,
+      `${fullName}_count${formatLabels(labels)} ${count}`
+    ]));
+
+    return {
+      observe(labels, value) {
+        const key = keyFor(labels);
+        if (!series.has(key)) {
+          series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function render() {
+    return metrics.map(({ type, name, help, render: renderSamples }) => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} ${type}`,
+      ...renderSamples()
+    ].join('\n')).join('\n') + '\n';
+  }
+
+  return {
+    counter: simple('counter'),
+    gauge: simple('gauge'),
+    histogram,
+    render
+  };
+}
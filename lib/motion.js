@@ -0,0 +1,155 @@
+// Allowed range for each pointer setting; values outside are clamped
+export const MOTION_LIMITS = {
+  sensitivity: { min: 0.1, max: 10 },
+  acceleration: { min: 0, max: 2 },
+  smoothing: { min: 0, max: 0.9 }
+};
+
+// Sensitivity 2 matches the fixed multiplier the web clients used to apply
+export const DEFAULT_MOTION_SETTINGS = {
+  sensitivity: 2,
+  acceleration: 0.5,
+  smoothing: 0.2
+};
+
+const ACCELERATION_THRESHOLD = 0.3; // finger speed (px/ms) where acceleration starts
+const MAX_ACCELERATION_GAIN = 4;
+const IDLE_RESET_MS = 100; // a pause this long starts a fresh gesture
+
+// Merge settings over a base, ignoring unknown keys and non-numbers and clamping the rest
+export function normalizeMotionSettings(settings = {}, base = DEFAULT_MOTION_SETTINGS) {
+  const normalized = { ...base };
+  for (const [name, { min, max }] of Object.entries(MOTION_LIMITS)) {
+    const value = settings[name];
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      normalized[name] = Math.max(min, Math.min(max, value));
+    }
+  }
+  return normalized;
+}
+
+// Pointer acceleration curve: slow movements stay 1:1 for precision, faster
+// ones are scaled up linearly with speed so a flick crosses the screen.
+export function accelerationGain(speed, acceleration) {
+  if (acceleration <= 0 || speed <= ACCELERATION_THRESHOLD) {
+    return 1;
+  }
+  const gain = 1 + acceleration * (speed - ACCELERATION_THRESHOLD) / ACCELERATION_THRESHOLD;
+  return Math.min(MAX_ACCELERATION_GAIN, gain);
+}
+
+// Per-session motion pipeline. Raw deltas pushed between frames are summed and
+// turned into at most one pointer move per `frameInterval`, after sensitivity,
+// acceleration and smoothing. Sub-pixel leftovers carry over to the next frame.
+// Absolute targets (`aim`) skip the shaping; only the latest one in a frame is applied.
+export function createMotionPipeline({
+  settings = {},
+  frameInterval = 16,
+  onMove = () => {},
+  onMoveTo = () => {},
+  now = Date.now
+} = {}) {
+  let current = normalizeMotionSettings(settings);
+  let pending = { x: 0, y: 0 };
+  let velocity = { x: 0, y: 0 };
+  let remainder = { x: 0, y: 0 };
+  let lastFrameAt = 0;
+  let target = null;
+  let frameTimer = null;
+
+  function scheduleFrame() {
+    if (!frameTimer) {
+      // The first move after a pause goes out right away; the rest wait for the next tick
+      const wait = Math.max(0, lastFrameAt + frameInterval - now());
+      frameTimer = setTimeout(flush, wait);
+    }
+  }
+
+  function push(deltaX, deltaY) {
+    pending.x += deltaX;
+    pending.y += deltaY;
+    scheduleFrame();
+  }
+
+  // Move to an absolute position; relative moves queued before it are superseded
+  function aim(x, y) {
+    pending = { x: 0, y: 0 };
+    target = { x, y };
+    scheduleFrame();
+  }
+
+  function flush() {
+    clearTimeout(frameTimer);
+    frameTimer = null;
+
+    if (target) {
+      const { x, y } = target;
+      target = null;
+      lastFrameAt = now();
+      velocity = { x: 0, y: 0 };
+      remainder = { x: 0, y: 0 };
+      onMoveTo(x, y);
+    }
+    if (pending.x === 0 && pending.y === 0) return;
+
+    const frameAt = now();
+    const elapsed = frameAt - lastFrameAt;
+    if (elapsed > IDLE_RESET_MS) {
+      velocity = { x: 0, y: 0 };
+      remainder = { x: 0, y: 0 };
+    }
+    lastFrameAt = frameAt;
+
+    const raw = pending;
+    pending = { x: 0, y: 0 };
+
+    const speed = Math.hypot(raw.x, raw.y) / Math.max(frameInterval, Math.min(elapsed, IDLE_RESET_MS));
+    const gain = current.sensitivity * accelerationGain(speed, current.acceleration);
+
+    // Exponential smoothing damps jitter from the touch surface; it resets with each gesture
+    const { smoothing } = current;
+    const fresh = velocity.x === 0 && velocity.y === 0;
+    velocity = {
+      x: fresh ? raw.x * gain : smoothing * velocity.x + (1 - smoothing) * raw.x * gain,
+      y: fresh ? raw.y * gain : smoothing * velocity.y + (1 - smoothing) * raw.y * gain
+    };
+
+    const x = velocity.x + remainder.x;
+    const y = velocity.y + remainder.y;
+    const moveX = Math.trunc(x);
+    const moveY = Math.trunc(y);
+    remainder = { x: x - moveX, y: y - moveY };
+
+    if (moveX !== 0 || moveY !== 0) {
+      onMove(moveX, moveY);
+    }
+  }
+
+  // Drop anything not yet applied, e.g. when the session loses control
+  function cancel() {
+    clearTimeout(frameTimer);
+    frameTimer = null;
+    pending = { x: 0, y: 0 };
+    target = null;
+    velocity = { x: 0, y: 0 };
+    remainder = { x: 0, y: 0 };
+  }
+
+  function updateSettings(changes) {
+    current = normalizeMotionSettings(changes, current);
+    return getSettings();
+  }
+
+  function getSettings() {
+    return { ...current };
+  }
+
+  return {
+    push,
+    aim,
+    flush,
+    cancel,
+    updateSettings,
+    getSettings
+  };
+}
@@ -0,0 +1,80 @@
+import os from 'os';
+import net from 'net';
+
+// Interface names of container / VM bridges and VPN tunnels. Phones on the Wi-Fi can't
+// reach the host through either, so they rank below ordinary LAN interfaces.
+const VIRTUAL_INTERFACE = /^(docker|br-|veth|virbr|vboxnet|vmnet|vethernet|cni|flannel|podman|lxc|lxd|kube|vnic)/i;
+const VPN_INTERFACE = /^(tun|tap|utun|wg|tailscale|zt|ppp|ipsec|gpd|nordlynx|proton|mullvad)/i;
+const isPrivateIPv4 = createIpAllowlist(['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16']);
+const INTERFACE_KIND_ORDER = ['lan', 'other', 'vpn', 'virtual', 'link-local'];
+
+function classifyInterface(name, address) {
+  if (VIRTUAL_INTERFACE.test(name)) return 'virtual';
+  if (VPN_INTERFACE.test(name)) return 'vpn';
+  if (address.startsWith('169.254.')) return 'link-local';
+  return isPrivateIPv4(address) ? 'lan' : 'other';
+}
+
+// Non-internal IPv4 addresses the host could be reached on, best first: LAN interfaces,
+// then other addresses, VPN tunnels, container / VM bridges and link-local ones.
+// Each is { name, address, kind, preferred }.
+export function listNetworkInterfaces(interfaces = os.networkInterfaces()) {
+  const candidates = Object.entries(interfaces).flatMap(([name, addresses]) => (addresses || [])
+    .filter(iface => iface.family === 'IPv4' && !iface.internal)
+    .map(iface => ({ name, address: iface.address, kind: classifyInterface(name, iface.address) })));
+
+  candidates.sort((a, b) => INTERFACE_KIND_ORDER.indexOf(a.kind) - INTERFACE_KIND_ORDER.indexOf(b.kind));
+  return candidates.map((candidate, index) => ({ ...candidate, preferred: index === 0 }));
+}
+
+// Get network IP address: the best candidate from listNetworkInterfaces(), or the one
+// named by `prefer` (an interface name or address) when it exists
+export function getNetworkIP({ prefer = null, interfaces } = {}) {
+  const candidates = listNetworkInterfaces(interfaces);
+  const chosen = (prefer && candidates.find(candidate => candidate.name === prefer || candidate.address === prefer))
+    || candidates[0];
+  return chosen ? chosen.address : 'localhost';
+}
+
+// Requests coming from the host machine itself
+export function isLocalRequest(req) {
+  const address = req.socket.remoteAddress;
+  return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+// IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+export function normalizeAddress(address) {
+  return address && address.startsWith('::ffff:') ? address.slice('::ffff:'.length) : address;
+}
+
+// Private, loopback and link-local ranges, used for the "lan" allowlist entry
+export const LAN_RANGES = [
+  '127.0.0.0/8', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16',
+  '::1/128', 'fc00::/7', 'fe80::/10'
+];
+
+// Build a matcher for a list of addresses and CIDR ranges (IPv4 or IPv6), e.g.
+// ['192.168.1.0/24', '10.0.0.5', 'lan']. Throws on entries that aren't either.
+export function createIpAllowlist(entries) {
+  const blockList = new net.BlockList();
+  for (const entry of entries.flatMap(entry => entry === 'lan' ? LAN_RANGES : [entry])) {
+    const [address, prefix, extra] = String(entry).trim().split('/');
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    const bits = prefix === undefined ? null : Number(prefix);
+    if (!family || extra !== undefined ||
+        (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (family === 'ipv4' ? 32 : 128)))) {
+      throw new Error(`"${entry}" is not an IP address or CIDR range`);
+    }
+    if (bits === null) {
+      blockList.addAddress(address, family);
+    } else {
+      blockList.addSubnet(address, bits, family);
+    }
+  }
+
+  return (address) => {
+    const normalized = normalizeAddress(address);
+    const family = net.isIPv4(normalized) ? 'ipv4' : net.isIPv6(normalized) ? 'ipv6' : null;
+    return family !== null && blockList.check(normalized, family);
+  };
+}
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+
+const CODE_LENGTH = 6;
+// Wrong codes an address may try before it is locked out. Each lockout in a row lasts
+// twice as long as the last, so guessing the code space from one address isn't practical.
+const MAX_FAILED_CODE_ATTEMPTS = 5;
+const CODE_LOCKOUT_BASE = 30 * 1000;
+const CODE_LOCKOUT_MAX = 60 * 60 * 1000;
+const FAILURE_MEMORY = 60 * 60 * 1000; // an address's failures are forgotten after this long without one
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, '0');
+}
+
+// Pairing codes are short-lived and single-use: a phone trades the code shown on
+// the host for a signed token, which it presents on every later connection.
+export function createPairingManager({
+  secret = process.env.PAIRING_SECRET,
+  codeTtl = 5 * 60 * 1000,
+  tokenTtl = 24 * 60 * 60 * 1000,
+  onCodeChange = () => {}
+} = {}) {
+  const signingKey = secret || crypto.randomBytes(32);
+  const revokedTokens = new Map(); // tokenId -> expiresAt
+  let current = null;
+  let rotateTimer = null;
+  const failures = new Map(); // address -> { attempts, lockouts, lockedUntil, lastFailureAt }
+
+  const sign = (payload) => toBase64Url(
+    crypto.createHmac('sha256', signingKey).update(payload).digest()
+  );
+
+  function rotateCode() {
+    clearTimeout(rotateTimer);
+    current = {
+      code: generateCode(),
+      expiresAt: Date.now() + codeTtl
+    };
+    rotateTimer = setTimeout(rotateCode, codeTtl);
+    rotateTimer.unref();
+    onCodeChange(current);
+    return current;
+  }
+
+  function getCode() {
+    if (!current || current.expiresAt <= Date.now()) {
+      rotateCode();
+    }
+    return current;
+  }
+
+  // Milliseconds until `address` may try a code again (0 when it isn't locked out)
+  function getLockout(address, now = Date.now()) {
+    const record = failures.get(address);
+    return record ? Math.max(0, record.lockedUntil - now) : 0;
+  }
+
+  // Check a code presented by `address`. Wrong codes count against that address only -
+  // the code itself stays valid, so one device guessing can't stop others from pairing.
+  // A locked-out address is refused without looking at the code.
+  function verifyCode(code, address = 'unknown', now = Date.now()) {
+    if (getLockout(address, now) > 0) {
+      return false;
+    }
+
+    const active = getCode();
+    if (code && safeEqual(code, active.code)) {
+      failures.delete(address);
+      rotateCode();
+      return true;
+    }
+
+    const record = failures.get(address) || { attempts: 0, lockouts: 0, lockedUntil: 0 };
+    record.lastFailureAt = now;
+    if (++record.attempts >= MAX_FAILED_CODE_ATTEMPTS) {
+      record.lockedUntil = now + Math.min(CODE_LOCKOUT_MAX, CODE_LOCKOUT_BASE * 2 ** record.lockouts);
+      record.lockouts++;
+      record.attempts = 0;
+    }
+    failures.set(address, record);
+    return false;
+  }
+
+  function issueToken() {
+    const claims = {
+      jti: crypto.randomBytes(12).toString('hex'),
+      exp: Date.now() + tokenTtl
+    };
+    const payload = toBase64Url(JSON.stringify(claims));
+    return {
+      token: `${payload}.${sign(payload)}`,
+      tokenId: claims.jti,
+      expiresAt: claims.exp
+    };
+  }
+
+  // Returns the token claims, or null when the token is malformed, forged,
+  // expired or revoked
+  function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+      return null;
+    }
+
+    let claims;
+    try {
+      claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    } catch (error) {
+      return null;
+    }
+
+    if (!claims.jti || !(claims.exp > Date.now()) || revokedTokens.has(claims.jti)) {
+      return null;
+    }
+    return { tokenId: claims.jti, expiresAt: claims.exp };
+  }
+
+  function revokeToken(tokenId, expiresAt) {
+    if (tokenId) {
+      revokedTokens.set(tokenId, expiresAt || Date.now() + tokenTtl);
+    }
+  }
+
+  // Revoked tokens only need remembering until they would have expired anyway, and
+  // addresses' failed codes until they've been quiet for a while
+  function pruneRevoked(now = Date.now()) {
+    for (const [tokenId, expiresAt] of revokedTokens) {
+      if (expiresAt <= now) {
+        revokedTokens.delete(tokenId);
+      }
+    }
+    for (const [address, record] of failures) {
+      if (record.lockedUntil <= now && now - record.lastFailureAt > FAILURE_MEMORY) {
+        failures.delete(address);
+      }
+    }
+  }
+
+  function stop() {
+    clearTimeout(rotateTimer);
+  }
+
+  return {
+    getCode,
+    rotateCode,
+    verifyCode,
+    getLockout,
+    issueToken,
+    verifyToken,
+    revokeToken,
+    pruneRevoked,
+    stop
+  };
+}
@@ -0,0 +1,293 @@
+import {
+  MAX_TYPE_LENGTH,
+  SLIDE_KEYS,
+  isValidKey,
+  normalizeKey,
+  normalizeModifiers,
+  sanitizeText
+} from './keyboard.js';
+import { MOTION_LIMITS } from './motion.js';
+import { MAX_DISPLAYS } from './displays.js';
+import { STREAM_LIMITS } from './screen-stream.js';
+import { FRAME_FORMATS } from './capture/encode.js';
+
+export const PROTOCOL_VERSION = 1;
+export const MAX_MESSAGE_BYTES = 4096;
+export const MAX_CLIPBOARD_BYTES = 64 * 1024; // hard cap; hosts set a lower limit with CLIPBOARD_MAX_BYTES
+// Types that may exceed MAX_MESSAGE_BYTES, and by how much
+const LARGE_MESSAGE_LIMITS = {
+  clipboardSet: MAX_CLIPBOARD_BYTES + 1024
+};
+export const MAX_INBOUND_BYTES = Math.max(MAX_MESSAGE_BYTES, ...Object.values(LARGE_MESSAGE_LIMITS));
+export const MAX_MOVE_DELTA = 2000;
+export const MAX_SCROLL_DELTA = 100;
+export const MOUSE_BUTTONS = ['left', 'right', 'middle'];
+export const MAX_GAMEPAD_BUTTONS = 16;
+
+// Error codes sent back to clients as { type: 'error', code, message }
+export const ErrorCodes = {
+  INVALID_JSON: 'INVALID_JSON',
+  INVALID_MESSAGE: 'INVALID_MESSAGE',
+  UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+  INVALID_FIELD: 'INVALID_FIELD',
+  MESSAGE_TOO_LARGE: 'MESSAGE_TOO_LARGE',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INPUT_UNAVAILABLE: 'INPUT_UNAVAILABLE',
+  INPUT_PAUSED: 'INPUT_PAUSED',
+  NOT_CONTROLLER: 'NOT_CONTROLLER',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  MACRO_NOT_FOUND: 'MACRO_NOT_FOUND',
+  INVALID_MACRO: 'INVALID_MACRO',
+  RESUME_REJECTED: 'RESUME_REJECTED',
+  CAPTURE_UNAVAILABLE: 'CAPTURE_UNAVAILABLE',
+  CLIPBOARD_UNAVAILABLE: 'CLIPBOARD_UNAVAILABLE',
+  CLIPBOARD_TOO_LARGE: 'CLIPBOARD_TOO_LARGE',
+  ACTION_NOT_FOUND: 'ACTION_NOT_FOUND',
+  PROFILE_NOT_FOUND: 'PROFILE_NOT_FOUND',
+  COMMAND_FAILED: 'COMMAND_FAILED'
+};
+
+// Server pushes a client can subscribe to
+export const SUBSCRIPTION_TOPICS = ['cursor', 'screen'];
+
+export class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+  }
+}
+
+const delta = (limit) => ({ type: 'number', min: -limit, max: limit });
+const identifierField = { type: 'string', required: true, maxLength: 64, pattern: /^[\w-]+$/ };
+const topicFields = {
+  topic: { type: 'enum', values: SUBSCRIPTION_TOPICS, required: true }
+};
+const buttonFields = {
+  button: { type: 'enum', values: MOUSE_BUTTONS, default: 'left' }
+};
+const keyFields = {
+  key: { type: 'key', required: true },
+  modifiers: { type: 'modifiers', default: [] }
+};
+
+// Any message may carry a sequence number; the server acks it once handled
+const COMMON_FIELDS = {
+  seq: { type: 'integer', min: 0, max: 2 ** 31 - 1 }
+};
+
+// Declared shape of every inbound message type. Numbers are clamped to their
+// range; anything not declared here is dropped.
+export const MESSAGE_SCHEMAS = {
+  move: {
+    deltaX: { ...delta(MAX_MOVE_DELTA), required: true },
+    deltaY: { ...delta(MAX_MOVE_DELTA), required: true }
+  },
+  moveAbsolute: {
+    x: { type: 'number', min: 0, max: 1, required: true },
+    y: { type: 'number', min: 0, max: 1, required: true }
+  },
+  selectDisplay: {
+    index: { type: 'integer', min: 0, max: MAX_DISPLAYS - 1 },
+    cycle: { type: 'enum', values: ['next', 'previous'] }
+  },
+  click: {},
+  rightClick: {},
+  middleClick: {},
+  doubleClick: {},
+  mouseDown: buttonFields,
+  mouseUp: buttonFields,
+  scroll: {
+    deltaX: { ...delta(MAX_SCROLL_DELTA), default: 0 },
+    deltaY: { ...delta(MAX_SCROLL_DELTA), default: 0 },
+    modifiers: { type: 'modifiers', default: [] }
+  },
+  keyTap: keyFields,
+  keyDown: keyFields,
+  keyUp: keyFields,
+  typeText: {
+    text: { type: 'text', required: true, maxLength: MAX_TYPE_LENGTH }
+  },
+  slide: {
+    action: { type: 'enum', values: Object.keys(SLIDE_KEYS), required: true }
+  },
+  subscribe: topicFields,
+  unsubscribe: topicFields,
+  requestControl: {},
+  releaseControl: {},
+  grantControl: {
+    sessionId: identifierField
+  },
+  macroRecord: {
+    name: identifierField
+  },
+  macroStop: {},
+  macroPlay: {
+    name: identifierField,
+    speed: { type: 'number', min: 0.25, max: 4, default: 1 }
+  },
+  macroCancel: {},
+  runAction: {
+    id: identifierField
+  },
+  // The phone's whole pad state, sent at a steady rate: stick position (y down, like
+  // the screen) and the ids of the buttons held. Without a profile the host's first one is used.
+  gamepad: {
+    profile: { ...identifierField, required: false },
+    x: { type: 'number', min: -1, max: 1, default: 0 },
+    y: { type: 'number', min: -1, max: 1, default: 0 },
+    buttons: { type: 'identifiers', maxItems: MAX_GAMEPAD_BUTTONS, default: [] }
+  },
+  settings: {
+    sensitivity: { type: 'number', ...MOTION_LIMITS.sensitivity },
+    acceleration: { type: 'number', ...MOTION_LIMITS.acceleration },
+    smoothing: { type: 'number', ...MOTION_LIMITS.smoothing }
+  },
+  screenSettings: {
+    fps: { type: 'number', ...STREAM_LIMITS.fps },
+    kbps: { type: 'number', ...STREAM_LIMITS.kbps },
+    format: { type: 'enum', values: FRAME_FORMATS }
+  },
+  clipboardSet: {
+    text: { type: 'text', required: true, maxLength: MAX_CLIPBOARD_BYTES }
+  },
+  clipboardGet: {}
+};
+
+// Messages that drive the host's mouse or keyboard (everything else manages the session)
+export const INPUT_COMMANDS = new Set([
+  'move', 'moveAbsolute', 'selectDisplay', 'click', 'rightClick', 'middleClick', 'doubleClick', 'mouseDown', 'mouseUp',
+  'scroll', 'keyTap', 'keyDown', 'keyUp', 'typeText', 'slide', 'macroPlay', 'runAction', 'gamepad'
+]);
+
+// Messages that read or write the host clipboard - they need control like input does
+export const CLIPBOARD_COMMANDS = new Set(['clipboardSet', 'clipboardGet']);
+
+const invalid = (field, problem) => new ProtocolError(ErrorCodes.INVALID_FIELD, `${field} ${problem}`);
+
+function validateField(name, rule, value) {
+  switch (rule.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw invalid(name, 'must be a finite number');
+      }
+      return Math.max(rule.min, Math.min(rule.max, value));
+
+    case 'integer':
+      if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+        throw invalid(name, `must be an integer between ${rule.min} and ${rule.max}`);
+      }
+      return value;
+
+    case 'enum':
+      if (!rule.values.includes(value)) {
+        throw invalid(name, `must be one of ${rule.values.join(', ')}`);
+      }
+      return value;
+
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        throw invalid(name, 'must be a non-empty string');
+      }
+      if (value.length > rule.maxLength) {
+        throw invalid(name, `must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        throw invalid(name, 'contains invalid characters');
+      }
+      return value;
+
+    case 'identifiers':
+      if (!Array.isArray(value) || value.length > rule.maxItems) {
+        throw invalid(name, `must be a list of at most ${rule.maxItems} ids`);
+      }
+      if (!value.every(item => typeof item === 'string' && /^[\w-]{1,64}$/.test(item))) {
+        throw invalid(name, 'contains an invalid id');
+      }
+      return [...new Set(value)];
+
+    case 'text': {
+      const text = sanitizeText(value);
+      if (!text) {
+        throw invalid(name, 'must be a non-empty string');
+      }
+      if ([...text].length > rule.maxLength) {
+        throw invalid(name, `must be at most ${rule.maxLength} characters`);
+      }
+      return text;
+    }
+
+    case 'key':
+      if (!isValidKey(value)) {
+        throw invalid(name, 'is not a known key');
+      }
+      return normalizeKey(value);
+
+    case 'modifiers': {
+      const modifiers = normalizeModifiers(value);
+      if (!modifiers) {
+        throw invalid(name, 'contains an unknown modifier');
+      }
+      return modifiers;
+    }
+
+    default:
+      throw new Error(`Unknown schema type ${rule.type}`);
+  }
+}
+
+// Parse and validate a raw WebSocket message. Returns a clean copy containing
+// only declared fields, or throws a ProtocolError describing the problem.
+export function parseMessage(raw) {
+  const tooLarge = (limit = MAX_MESSAGE_BYTES) =>
+    new ProtocolError(ErrorCodes.MESSAGE_TOO_LARGE, `Messages are limited to ${limit} bytes`);
+  if (raw.length > MAX_INBOUND_BYTES) {
+    throw tooLarge();
+  }
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    throw raw.length > MAX_MESSAGE_BYTES ? tooLarge() : new ProtocolError(ErrorCodes.INVALID_JSON, 'Message is not valid JSON');
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data) || typeof data.type !== 'string') {
+    throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Message must be an object with a string type');
+  }
+  const limit = Object.hasOwn(LARGE_MESSAGE_LIMITS, data.type) ? LARGE_MESSAGE_LIMITS[data.type] : MAX_MESSAGE_BYTES;
+  if (raw.length > limit) {
+    throw tooLarge(limit);
+  }
+
+  const schema = Object.hasOwn(MESSAGE_SCHEMAS, data.type) ? MESSAGE_SCHEMAS[data.type] : null;
+  try {
+    if (!schema) {
+      throw new ProtocolError(ErrorCodes.UNKNOWN_TYPE, `Unknown message type: ${data.type.slice(0, 32)}`);
+    }
+    return validateFields(data, { ...COMMON_FIELDS, ...schema });
+  } catch (error) {
+    // Let the error reply reference the request when it was numbered
+    if (error instanceof ProtocolError && Number.isInteger(data.seq)) {
+      error.seq = data.seq;
+    }
+    throw error;
+  }
+}
+
+function validateFields(data, schema) {
+  const message = { type: data.type };
+  for (const [name, rule] of Object.entries(schema)) {
+    if (data[name] === undefined || data[name] === null) {
+      if (rule.required) {
+        throw invalid(name, 'is required');
+      }
+      if (rule.default !== undefined) {
+        message[name] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+      }
+      continue;
+    }
+    message[name] = validateField(name, rule, data[name]);
+  }
+  return message;
+}
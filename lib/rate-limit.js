@@ -0,0 +1,85 @@
+// Messages per second (`rate`) and how many can arrive at once (`burst`) for each
+// message type, per session. Trackpads send moves at the screen refresh rate, so
+// pointer messages get far more room than clicks or typing.
+export const DEFAULT_RATE_LIMITS = {
+  move: { rate: 120, burst: 240 },
+  moveAbsolute: { rate: 120, burst: 240 },
+  scroll: { rate: 60, burst: 120 },
+  click: { rate: 10, burst: 20 },
+  rightClick: { rate: 10, burst: 20 },
+  middleClick: { rate: 10, burst: 20 },
+  doubleClick: { rate: 10, burst: 20 },
+  mouseDown: { rate: 20, burst: 40 },
+  mouseUp: { rate: 20, burst: 40 },
+  keyTap: { rate: 30, burst: 60 },
+  keyDown: { rate: 30, burst: 60 },
+  keyUp: { rate: 30, burst: 60 },
+  typeText: { rate: 2, burst: 5 },
+  runAction: { rate: 5, burst: 10 },
+  gamepad: { rate: 60, burst: 120 },
+  clipboardSet: { rate: 1, burst: 3 },
+  clipboardGet: { rate: 1, burst: 3 },
+  default: { rate: 20, burst: 40 } // any type not listed
+};
+
+// All messages from one address, across its sessions
+export const DEFAULT_IP_RATE_LIMIT = { rate: 300, burst: 600 };
+
+function checkLimit(name, limit) {
+  if (!limit || !(limit.rate > 0) || !(limit.burst >= 1)) {
+    throw new Error(`Invalid rate limit for ${name}: rate must be > 0 and burst at least 1`);
+  }
+  return { rate: limit.rate, burst: limit.burst };
+}
+
+// Merge per-type overrides over the defaults, failing fast on nonsense values
+export function normalizeRateLimits(overrides = {}) {
+  const limits = {};
+  for (const [type, limit] of Object.entries({ ...DEFAULT_RATE_LIMITS, ...overrides })) {
+    limits[type] = checkLimit(type, limit);
+  }
+  return limits;
+}
+
+// Classic token bucket: starts full, refills at `rate` tokens per second up to `burst`.
+// `take()` returns 0 when a token was available, otherwise the ms until one will be.
+export function createTokenBucket(limit, now = Date.now) {
+  const { rate, burst } = checkLimit('bucket', limit);
+  let tokens = burst;
+  let refilledAt = now();
+
+  const available = (at) => Math.min(burst, tokens + (at - refilledAt) / 1000 * rate);
+
+  return {
+    take() {
+      const at = now();
+      tokens = available(at);
+      refilledAt = at;
+
+      if (tokens >= 1) {
+        tokens--;
+        return 0;
+      }
+      return Math.ceil((1 - tokens) / rate * 1000);
+    },
+
+    // Back to a full burst - a new bucket would be no different
+    isFull: () => available(now()) >= burst
+  };
+}
+
+// One bucket per message type, created on first use
+export function createRateLimiter(limits, now = Date.now) {
+  const buckets = new Map();
+
+  return {
+    take(type) {
+      let bucket = buckets.get(type);
+      if (!bucket) {
+        bucket = createTokenBucket(limits[type] || limits.default, now);
+        buckets.set(type, bucket);
+      }
+      return bucket.take();
+    }
+  };
+}
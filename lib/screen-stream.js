@@ -0,0 +1,199 @@
+import crypto from 'crypto';
+import { createFrameEncoder, FRAME_FORMATS } from './capture/encode.js';
+
+// Client-adjustable range for each session's stream
+export const STREAM_LIMITS = {
+  fps: { min: 0.2, max: 10 },
+  kbps: { min: 16, max: 20000 }
+};
+
+export const DEFAULT_STREAM_SETTINGS = { fps: 2, kbps: 800, format: 'jpeg' };
+
+const BUDGET_SECONDS = 2; // a quiet stream can save up this much for a burst of changes
+const MAX_BUFFERED_BYTES = 512 * 1024; // skip frames while a slow client is still receiving old ones
+
+// Pushes screenshots of each session's selected display to the sessions subscribed to
+// the 'screen' topic. Every session gets its own frame rate and bandwidth budget: a frame
+// is only sent while the session's byte budget is positive, so large frames (busy screens)
+// lower the effective rate and small ones (static screens) let it reach the requested fps.
+// Frames identical to the last one a session got are not resent.
+export function createScreenStreamer({
+  capturer,
+  sessions,
+  getRegion, // session => { x, y, width, height } of the area to capture, or null for the whole screen
+  defaults = DEFAULT_STREAM_SETTINGS,
+  maxFps = STREAM_LIMITS.fps.max,
+  maxKbps = STREAM_LIMITS.kbps.max,
+  maxWidth = 960,
+  quality = 60,
+  encoder = createFrameEncoder(), // { encode(image, options) } resolving with an encodeFrame result
+  logger = console,
+  now = Date.now
+}) {
+  const states = new Map();
+  let timer = null;
+  let running = false;
+  let stopped = false;
+
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+  function normalize(settings, base) {
+    return {
+      fps: clamp(settings.fps ?? base.fps, STREAM_LIMITS.fps.min, maxFps),
+      kbps: clamp(settings.kbps ?? base.kbps, STREAM_LIMITS.kbps.min, maxKbps),
+      format: FRAME_FORMATS.includes(settings.format) ? settings.format : base.format
+    };
+  }
+
+  const initial = normalize(defaults, DEFAULT_STREAM_SETTINGS);
+
+  function stateFor(session) {
+    let state = states.get(session.id);
+    if (!state) {
+      state = {
+        settings: { ...initial },
+        budget: initial.kbps * 125 * BUDGET_SECONDS,
+        refilledAt: now(),
+        nextFrameAt: 0,
+        lastHash: null
+      };
+      states.set(session.id, state);
+    }
+    return state;
+  }
+
+  function getSettings(session) {
+    return { ...stateFor(session).settings };
+  }
+
+  // Change a session's stream; limits above the host's caps are lowered to them
+  function updateSettings(session, changes) {
+    const state = stateFor(session);
+    state.settings = normalize(changes, state.settings);
+    state.nextFrameAt = 0;
+    wake();
+    return { ...state.settings };
+  }
+
+  function refill(state, at) {
+    const bytesPerSecond = state.settings.kbps * 125;
+    state.budget = Math.min(bytesPerSecond * BUDGET_SECONDS, state.budget + (at - state.refilledAt) / 1000 * bytesPerSecond);
+    state.refilledAt = at;
+  }
+
+  const isWatching = (session) => session.subscriptions.has('screen') && session.ws && session.ws.readyState === 1;
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (stopped) return;
+
+    let nextAt = Infinity;
+    for (const session of sessions.values()) {
+      if (isWatching(session)) {
+        nextAt = Math.min(nextAt, stateFor(session).nextFrameAt);
+      }
+    }
+    if (nextAt !== Infinity) {
+      timer = setTimeout(tick, Math.max(0, nextAt - now()));
+    }
+  }
+
+  // Send a new frame to every session that is due one. Each display is captured
+  // (and each format encoded) at most once per tick, however many sessions watch it.
+  async function tick() {
+    timer = null;
+    running = true;
+    try {
+      const at = now();
+      const due = [...sessions.values()].filter(session => isWatching(session) && stateFor(session).nextFrameAt <= at);
+      const captures = new Map();
+
+      for (const session of due) {
+        const state = stateFor(session);
+        state.nextFrameAt = at + 1000 / state.settings.fps;
+
+        refill(state, at);
+        if (state.budget <= 0 || session.ws.bufferedAmount > MAX_BUFFERED_BYTES) continue;
+
+        const region = getRegion(session);
+        const key = region ? `${region.x},${region.y},${region.width},${region.height}` : 'screen';
+        let capture = captures.get(key);
+        if (!capture) {
+          try {
+            const image = await capturer.capture(region || undefined);
+            capture = {
+              image,
+              hash: crypto.createHash('sha1').update(image.data).digest('base64'),
+              frames: new Map()
+            };
+          } catch (error) {
+            logger.error(`[${session.id}] Screen capture failed:`, error);
+            capture = { error };
+          }
+          captures.set(key, capture);
+        }
+        if (capture.error || capture.hash === state.lastHash || stopped) continue;
+        // The client may have gone while the capture was running
+        if (!isWatching(session)) continue;
+
+        const { format } = state.settings;
+        let frame = capture.frames.get(format);
+        if (!frame) {
+          try {
+            frame = await encoder.encode(capture.image, { format, quality, maxWidth });
+          } catch (error) {
+            if (!stopped) logger.error(`[${session.id}] Frame encoding failed:`, error);
+            continue;
+          }
+          capture.frames.set(format, frame);
+        }
+        // ...or while it was being encoded
+        if (stopped || !isWatching(session)) continue;
+
+        // The header tells the client what the binary message right after it contains
+        session.ws.send(JSON.stringify({
+          type: 'frame',
+          format: frame.format,
+          mime: frame.mime,
+          width: frame.width,
+          height: frame.height,
+          display: session.display,
+          bytes: frame.buffer.length
+        }));
+        session.ws.send(frame.buffer);
+        state.budget -= frame.buffer.length;
+        state.lastHash = capture.hash;
+      }
+    } finally {
+      running = false;
+      schedule();
+    }
+  }
+
+  // Start streaming after a subscribe (or resume); a no-op while a tick is in flight
+  function wake() {
+    if (running || stopped) return;
+    schedule();
+  }
+
+  // A (re)subscribing client has no picture yet, so the next frame is always sent
+  function reset(session) {
+    const state = stateFor(session);
+    state.lastHash = null;
+    state.nextFrameAt = 0;
+  }
+
+  function forget(session) {
+    states.delete(session.id);
+  }
+
+  function stop() {
+    stopped = true;
+    clearTimeout(timer);
+    timer = null;
+    encoder.close?.();
+  }
+
+  return { getSettings, updateSettings, wake, reset, forget, stop };
+}
@@ -0,0 +1,1934 @@
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import crypto from 'crypto';
+import { hostname } from 'os';
+import { WebSocketServer } from 'ws';
+import express from 'express';
+import cors from 'cors';
+import QRCode from 'qrcode';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { createPairingManager, safeEqual } from './pairing.js';
+import { createControlArbiter } from './control.js';
+import { createMotionPipeline, DEFAULT_MOTION_SETTINGS } from './motion.js';
+import { createDisplayLayout, parseDisplayLayout } from './displays.js';
+import { SLIDE_KEYS, isValidKey, normalizeKey, normalizeModifiers } from './keyboard.js';
+import {
+  MACRO_COMMANDS,
+  MacroError,
+  createMacroRecorder,
+  createMacroStore,
+  playMacro
+} from './macros.js';
+import { createScreenStreamer, DEFAULT_STREAM_SETTINGS } from './screen-stream.js';
+import { DEFAULT_ACTIONS, createQuickActions } from './actions.js';
+import { DEFAULT_GAMEPAD_PROFILES, createGamepadController, createGamepadProfiles } from './gamepad.js';
+import {
+  DEFAULT_UPLOAD_TYPES,
+  FileTransferError,
+  createFileInbox,
+  createFileOutbox,
+  sanitizeFileName
+} from './files.js';
+import {
+  DEFAULT_IP_RATE_LIMIT,
+  createRateLimiter,
+  createTokenBucket,
+  normalizeRateLimits
+} from './rate-limit.js';
+import { CONFIG_SCHEMA, compileOrigin } from './config.js';
+import { createMetricsRegistry } from './metrics.js';
+import {
+  createIpAllowlist,
+  getNetworkIP,
+  isLocalRequest,
+  listNetworkInterfaces,
+  normalizeAddress
+} from './network.js';
+import {
+  PROTOCOL_VERSION,
+  MAX_INBOUND_BYTES,
+  MESSAGE_SCHEMAS,
+  SUBSCRIPTION_TOPICS,
+  INPUT_COMMANDS,
+  CLIPBOARD_COMMANDS,
+  ErrorCodes,
+  ProtocolError,
+  parseMessage
+} from './protocol.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const ROOT_DIR = join(dirname(__filename), '..');
+
+function requireLocal(req, res, next) {
+  if (!isLocalRequest(req)) {
+    return res.status(403).json({ error: 'Only available from the host machine' });
+  }
+  next();
+}
+
+// Host header -> bare lower-case host name and port (the scheme's default when left out)
+function parseHostHeader(header, scheme) {
+  try {
+    const { hostname: name, port } = new URL(`${scheme}://${header}`);
+    return { name: name.replace(/^\[|\]$/g, '').toLowerCase(), port: Number(port) || (scheme === 'https' ? 443 : 80) };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Any page open on the host can send a form-style POST to localhost without a CORS
+// preflight, but not one with a JSON Content-Type - so changes must be sent as JSON
+function requireJsonChange(req, res, next) {
+  const type = (req.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  if (!['GET', 'HEAD'].includes(req.method) && type !== 'application/json') {
+    return res.status(415).json({ error: 'Content-Type must be application/json' });
+  }
+  next();
+}
+
+// Admin endpoints take `Authorization: Bearer <token>` when a token is configured,
+// and are limited to the host machine otherwise
+function createRequireAdmin(adminToken) {
+  if (!adminToken) {
+    return [requireJsonChange, requireLocal];
+  }
+  return [requireJsonChange, (req, res, next) => {
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token || !safeEqual(token, adminToken)) {
+      return res.status(401).json({ error: 'Admin token required' });
+    }
+    next();
+  }];
+}
+
+// Builds the Express app, HTTP server and WebSocket server without listening,
+// so the entry point and the tests can start and stop it on any port.
+export function createRemoteControlServer({
+  driver = null,
+  port = 9090,
+  host = '0.0.0.0',
+  networkIP = getNetworkIP(),
+  mdnsHost = null, // name the host is advertised under over mDNS (e.g. "studio-mac.local"), if any
+  requirePairing = true,
+  pairingCodeTtl = 5 * 60 * 1000,
+  pairingTokenTtl = 24 * 60 * 60 * 1000,
+  pairingSecret = process.env.PAIRING_SECRET,
+  sessionTimeout = 30 * 60 * 1000, // 30 minutes; admins can change it at runtime
+  resumeGrace = 60 * 1000, // how long a dropped session can be resumed
+  cleanupInterval = 5 * 60 * 1000,
+  frontendOrigins = CONFIG_SCHEMA.frontendOrigins.default, // exact origins, "*" patterns or RegExps
+  allowedIps = null, // addresses / CIDR ranges (or 'lan') allowed to open the control socket; null allows all
+  allowedHosts = [], // extra host names the server is reached by (a LAN DNS name, a reverse proxy), any port
+  cursorInterval = 100, // minimum ms between cursor updates to a client
+  motionSettings = DEFAULT_MOTION_SETTINGS, // pointer settings new sessions start with
+  frameInterval = 16, // moves are coalesced into at most one per frame
+  displays = null, // virtual-desktop layout (array or "WxH+X+Y,..."); defaults to the driver's screen
+  macroDir = join(ROOT_DIR, 'macros'),
+  slideKeys = {}, // per-action overrides, e.g. { start: { key: 'p', modifiers: ['command', 'alt'] } } for Keynote
+  actions = DEFAULT_ACTIONS, // quick-action definitions (see lib/actions.js)
+  gamepadProfiles = DEFAULT_GAMEPAD_PROFILES, // gamepad layouts and key bindings (see lib/gamepad.js)
+  gamepadTimeout = 500, // gamepad input is let go if the phone stops sending state for this long
+  capturer = null, // screen capturer for the 'screen' topic; null disables streaming
+  screenStream = DEFAULT_STREAM_SETTINGS, // { fps, kbps, format } new sessions start with
+  screenMaxFps = 5, // host-wide caps on what a session may ask for
+  screenMaxKbps = 4000,
+  screenMaxWidth = 960, // frames are scaled down to at most this many pixels wide
+  maxInvalidMessages = 10, // per window before the client is disconnected
+  invalidMessageWindow = 60 * 1000,
+  rateLimits = {}, // per-session overrides of DEFAULT_RATE_LIMITS, e.g. { click: { rate: 5, burst: 10 } }
+  ipRateLimit = DEFAULT_IP_RATE_LIMIT, // all messages from one address
+  maxConnectionsPerIp = 10,
+  maxThrottledMessages = 1000, // per invalidMessageWindow before the client is disconnected
+  clipboard = null, // clipboard provider for clipboardSet / clipboardGet; null disables them
+  clipboardMaxBytes = 16 * 1024, // largest text moved either way (at most MAX_CLIPBOARD_BYTES)
+  inboxDir = null, // where files uploaded from phones are saved; null disables uploads
+  outboxDir = null, // files staged here can be downloaded by phones; null disables the outbox
+  uploadMaxBytes = 50 * 1024 * 1024,
+  uploadTypes = DEFAULT_UPLOAD_TYPES, // MIME types, type/* patterns or .extensions
+  uploadProgressInterval = 250, // minimum ms between upload progress messages
+  tls = null, // { cert, key } to serve HTTPS / WSS instead of plain HTTP
+  adminToken = null, // bearer token for /api/admin; without one the admin API is host-only
+  auditLog = null, // createAuditLog() instance for security-relevant events
+  logger = console
+} = {}) {
+  const app = express();
+  const server = tls ? https.createServer({ cert: tls.cert, key: tls.key }, app) : http.createServer(app);
+  const scheme = tls ? 'https' : 'http';
+  let listenPort = port;
+
+  // Host names this server answers to: loopback, its own addresses and names on
+  // this port, and `allowedHosts` on any. A DNS-rebinding page reaches 127.0.0.1
+  // under its own name, so it is refused here before anything trusts a loopback
+  // address or a same-origin request.
+  const extraHosts = new Set(allowedHosts.map(name => name.toLowerCase()));
+  function isAllowedHost(req) {
+    const header = req.headers.host;
+    if (header === undefined) {
+      return true; // not a browser - they always send it
+    }
+    const target = parseHostHeader(header, scheme);
+    if (!target) {
+      return false;
+    }
+    if (extraHosts.has(target.name)) {
+      return true;
+    }
+    const own = ['localhost', '127.0.0.1', '::1', hostname().toLowerCase(), ...getPairTargets().map(({ address }) => address.toLowerCase())];
+    return target.port === listenPort && own.includes(target.name);
+  }
+
+  app.use((req, res, next) => {
+    if (!isAllowedHost(req)) {
+      return res.status(403).json({ error: `Unknown host ${req.headers.host} - add it to allowedHosts` });
+    }
+    next();
+  });
+
+  // CORS configuration for cross-origin requests. The list is looked up per request
+  // so a config reload applies to the next one.
+  let allowedOrigins = frontendOrigins.map(compileOrigin);
+  const isAllowedOrigin = (origin) => allowedOrigins.some(allowed =>
+    allowed instanceof RegExp ? allowed.test(origin) : allowed === origin);
+
+  app.use(cors({
+    origin: (origin, callback) => callback(null, Boolean(origin) && isAllowedOrigin(origin)),
+    credentials: true
+  }));
+
+  // Uploads stream their own body, whatever its Content-Type
+  const UPLOAD_ROUTE = /^\/api\/sessions\/[^/]+\/uploads$/;
+  const parseJson = express.json();
+  app.use((req, res, next) => UPLOAD_ROUTE.test(req.path) ? next() : parseJson(req, res, next));
+
+  // Resolve slide key overrides up front so a typo fails at startup, not mid-talk
+  const slideActions = {};
+  for (const [action, { key, modifiers = [] }] of Object.entries({ ...SLIDE_KEYS, ...slideKeys })) {
+    const normalized = isValidKey(key) ? normalizeModifiers(modifiers) : null;
+    if (!normalized) {
+      throw new Error(`Invalid slide key for ${action}: ${[...[].concat(modifiers), key].join('+')}`);
+    }
+    slideActions[action] = { key: normalizeKey(key), modifiers: normalized };
+  }
+
+  // Named quick actions (media keys, lock screen, configured shortcuts and launchers).
+  // Built here so a broken definition fails at startup.
+  const quickActions = createQuickActions(actions);
+  const gamepads = createGamepadProfiles(gamepadProfiles);
+
+  // Host displays - a configured multi-monitor layout, or the driver's single screen
+  const displayLayout = createDisplayLayout(
+    displays ? parseDisplayLayout(displays)
+      : driver ? [{ name: 'primary', x: 0, y: 0, ...driver.getScreenSize() }]
+        : []
+  );
+
+  // Pairing - clients must present a pairing code or a previously issued token
+  const getPairUrl = (code, host = networkIP) => `${scheme}://${host}:${listenPort}/?code=${code}`;
+
+  // Every address a phone might reach the host on, the configured one first and the
+  // mDNS name last. Each is { name, address, kind }.
+  function getPairTargets() {
+    const interfaces = listNetworkInterfaces().map(({ name, address, kind }) => ({ name, address, kind }));
+    const configured = interfaces.find(target => target.address === networkIP)
+      || { name: 'configured', address: networkIP, kind: 'configured' };
+    return [
+      configured,
+      ...interfaces.filter(target => target !== configured),
+      ...(mdnsHost ? [{ name: 'mdns', address: mdnsHost, kind: 'mdns' }] : [])
+    ];
+  }
+
+  function printPairingCode({ code, expiresAt }) {
+    const minutes = Math.round((expiresAt - Date.now()) / 60000);
+    logger.log(`🔑 Pairing code: ${code} (valid for ${minutes} min)`);
+    logger.log(`   📱 Pair URL: ${getPairUrl(code)}`);
+  }
+
+  const pairing = createPairingManager({
+    secret: pairingSecret,
+    codeTtl: pairingCodeTtl,
+    tokenTtl: pairingTokenTtl,
+    onCodeChange: (current) => requirePairing && printPairingCode(current)
+  });
+
+  // Session management
+  const sessions = new Map();
+  let sessionIdCounter = 0;
+  let connectedClients = 0;
+
+  // Flood protection: token buckets per session and message type, and per address
+  let messageLimits = normalizeRateLimits(rateLimits);
+  // address -> { connections, bucket }. An address with nothing open is only forgotten
+  // once its bucket has refilled, so reconnecting doesn't start it on a full one.
+  const ipClients = new Map();
+  const throttleStats = { messages: 0, connectionsRejected: 0, disconnects: 0, byType: {} };
+
+  // Optional IP / CIDR allowlist for control connections
+  let isAllowedIp = allowedIps ? createIpAllowlist(allowedIps) : () => true;
+
+  // Admin state: a global input pause and banned client addresses
+  const requireAdmin = createRequireAdmin(adminToken);
+  const bannedIps = new Set();
+  let inputPaused = false;
+
+  // Connects, disconnects, refused upgrades, admin actions and clicks / key input go to the audit log
+  const audit = auditLog || { record() {}, flush: () => Promise.resolve() };
+  const AUDITED_COMMANDS = new Set([
+    'click', 'rightClick', 'middleClick', 'doubleClick', 'mouseDown', 'mouseUp',
+    'keyTap', 'keyDown', 'keyUp', 'typeText', 'slide', 'macroPlay', 'runAction'
+  ]);
+
+  // Prometheus metrics, served at /metrics
+  const metrics = createMetricsRegistry({ prefix: 'remote_control_' });
+  metrics.gauge('connections', 'Open WebSocket connections', { collect: () => connectedClients });
+  metrics.gauge('sessions', 'Sessions, including dropped ones that can still be resumed', { collect: () => sessions.size });
+  metrics.gauge('input_paused', 'Whether remote input is paused by an admin', { collect: () => inputPaused ? 1 : 0 });
+  const connectionsTotal = metrics.counter('connections_total', 'WebSocket connections accepted');
+  const clipboardTransfers = metrics.counter('clipboard_transfers_total', 'Clipboard transfers, by direction');
+  const uploadsTotal = metrics.counter('uploads_total', 'File uploads from phones, by result');
+  const uploadBytes = metrics.counter('upload_bytes_total', 'Bytes of completed file uploads');
+  const downloadsTotal = metrics.counter('downloads_total', 'Outbox files downloaded by phones');
+  const authFailures = metrics.counter('auth_failures_total', 'WebSocket upgrades refused, by reason');
+  const messagesTotal = metrics.counter('messages_total', 'Messages accepted, by type');
+  const messagesRejected = metrics.counter('messages_rejected_total', 'Messages answered with an error, by code');
+  metrics.counter('messages_throttled_total', 'Messages dropped by rate limits, by type', {
+    collect: () => Object.entries(throttleStats.byType).map(([type, value]) => ({ labels: { type }, value }))
+  });
+  metrics.counter('flood_disconnects_total', 'Sessions disconnected for flooding', { collect: () => throttleStats.disconnects });
+  const inputLatency = metrics.histogram('input_latency_seconds', 'Time from receiving an input command to the host driver call returning, by type');
+
+  // Screenshots of each session's display, for the 'screen' topic
+  const screenStreamer = capturer && createScreenStreamer({
+    capturer,
+    sessions,
+    getRegion: (session) => displayLayout.get(session.display),
+    defaults: screenStream,
+    maxFps: screenMaxFps,
+    maxKbps: screenMaxKbps,
+    maxWidth: screenMaxWidth,
+    logger
+  });
+
+  function generateSessionId() {
+    return `session_${++sessionIdCounter}_${Date.now()}`;
+  }
+
+  const generateToken = () => crypto.randomBytes(24).toString('base64url');
+
+  // Control arbitration - only the controlling session may send input
+  let lastOwner = null;
+  const control = createControlArbiter({
+    onChange: (state) => {
+      // Don't leave keys or buttons held (or moves queued) by a session that just lost control
+      if (lastOwner && lastOwner !== state.owner && sessions.has(lastOwner)) {
+        const previous = sessions.get(lastOwner);
+        releaseHeldInput(previous);
+        previous.motion.cancel();
+        stopPlayback(previous, 'control lost');
+      }
+      lastOwner = state.owner;
+      logger.log(`🎮 Control: ${state.owner || 'nobody'}${state.queue.length ? ` (queue: ${state.queue.join(', ')})` : ''}`);
+      for (const session of sessions.values()) {
+        sendControlState(session);
+      }
+    }
+  });
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      robotjs: driver?.name === 'robotjs',
+      inputDriver: driver ? driver.name : null,
+      pairingRequired: requirePairing,
+      networkIP: networkIP,
+      throttling: {
+        ...throttleStats,
+        byType: { ...throttleStats.byType }
+      },
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Prometheus scrape endpoint, guarded like the admin API
+  app.get('/metrics', requireAdmin, (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+  });
+
+  // Get server info endpoint
+  app.get('/api/server-info', (req, res) => {
+    res.json({
+      networkIP: networkIP,
+      port: listenPort,
+      robotjs: driver?.name === 'robotjs',
+      inputDriver: driver ? driver.name : null,
+      screenSize: driver ? driver.getScreenSize() : null,
+      displays: displayLayout.list(),
+      interfaces: listNetworkInterfaces(),
+      mdnsHost,
+      activeSessions: sessions.size,
+      totalConnections: connectedClients
+    });
+  });
+
+  // Get active sessions endpoint
+  app.get('/api/sessions', (req, res) => {
+    const sessionList = Array.from(sessions.values()).map(session => ({
+      id: session.id,
+      ip: session.ip,
+      connectedAt: session.connectedAt,
+      lastActivity: session.lastActivity,
+      connected: !!session.ws,
+      role: control.getRole(session.id),
+      tokenExpiresAt: session.tokenExpiresAt ? new Date(session.tokenExpiresAt) : null,
+      duration: Math.round((Date.now() - session.connectedAt) / 1000)
+    }));
+
+    res.json({
+      totalSessions: sessions.size,
+      control: control.getState(),
+      sessions: sessionList
+    });
+  });
+
+  // Admin override: hand control to a session, or take it from everyone with null
+  app.post('/api/control', requireAdmin, (req, res) => {
+    const sessionId = req.body?.sessionId ?? null;
+    if (sessionId !== null && !sessions.has(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    control.override(sessionId);
+    audit.record('control_override', { session: sessionId });
+    logger.log(`🎮 Control overridden by host: ${sessionId || 'nobody'}`);
+    res.json(control.getState());
+  });
+
+  // Current pairing code, for showing on the host (e.g. as a QR code)
+  app.get('/api/pairing', requireLocal, (req, res) => {
+    const { code, expiresAt } = pairing.getCode();
+    res.json({
+      required: requirePairing,
+      code,
+      expiresAt: new Date(expiresAt),
+      url: getPairUrl(code),
+      urls: getPairTargets().map(target => ({ ...target, url: getPairUrl(code, target.address) }))
+    });
+  });
+
+  // The pair URL for the current code as a QR code, for `host` (one of the pair targets;
+  // the configured address by default). The code is single-use, so scanners fetch it again
+  // after every pairing.
+  app.get('/api/pairing/qr.svg', requireLocal, async (req, res) => {
+    const host = req.query.host || networkIP;
+    if (!getPairTargets().some(target => target.address === host)) {
+      return res.status(400).json({ error: `${host} is not one of this host's addresses` });
+    }
+    try {
+      const svg = await QRCode.toString(getPairUrl(pairing.getCode().code, host), { type: 'svg', margin: 2 });
+      res.set('Cache-Control', 'no-store').type('image/svg+xml').send(svg);
+    } catch (error) {
+      logger.error('QR code generation failed:', error);
+      res.status(500).json({ error: 'QR code generation failed' });
+    }
+  });
+
+  // Revoke a session and the pairing token it connected with
+  app.delete('/api/sessions/:id', requireAdmin, (req, res) => {
+    if (!revokeSession(req.params.id, 'Session revoked')) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json({ revoked: req.params.id });
+  });
+
+  // Admin API - live session stats and moderation
+  app.get('/api/admin/sessions', requireAdmin, (req, res) => {
+    res.json({
+      totalSessions: sessions.size,
+      control: control.getState(),
+      inputPaused,
+      sessions: Array.from(sessions.values()).map(session => ({
+        id: session.id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        connectedAt: session.connectedAt,
+        lastActivity: session.lastActivity,
+        connected: !!session.ws,
+        role: control.getRole(session.id),
+        display: session.display,
+        messageCount: session.messageCount,
+        rejectedCount: session.rejectedCount,
+        throttledMessages: session.throttledMessages,
+        lastCommand: session.lastCommand,
+        lastCommandAt: session.lastCommandAt,
+        subscriptions: [...session.subscriptions],
+        recording: session.recording ? session.recording.name : null,
+        playing: session.playback ? session.playback.name : null,
+        clipboard: session.clipboardTransfers,
+        uploads: session.uploads,
+        duration: Math.round((Date.now() - session.connectedAt) / 1000)
+      }))
+    });
+  });
+
+  // Kick a session without revoking its pairing - the client may connect again
+  app.post('/api/admin/sessions/:id/disconnect', requireAdmin, (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    const { ws } = session;
+    audit.record('admin_disconnect', { session: session.id, ip: session.ip });
+    endSession(session, 'disconnected by admin');
+    if (ws && ws.readyState === 1) {
+      ws.close(4003, 'Disconnected by admin');
+    }
+    res.json({ disconnected: session.id });
+  });
+
+  // Revoke a session's pairing token, and with { ip: true } ban its address too
+  app.post('/api/admin/sessions/:id/ban', requireAdmin, (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    if (req.body?.ip) {
+      banIp(session.ip);
+    } else {
+      revokeSession(session.id, 'Banned by admin');
+    }
+    res.json({ banned: session.id, ip: req.body?.ip ? normalizeAddress(session.ip) : null });
+  });
+
+  app.get('/api/admin/bans', requireAdmin, (req, res) => {
+    res.json({ ips: [...bannedIps] });
+  });
+
+  app.post('/api/admin/bans', requireAdmin, (req, res) => {
+    const ip = normalizeAddress(req.body?.ip);
+    if (typeof ip !== 'string' || !net.isIP(ip)) {
+      return res.status(400).json({ error: 'ip must be an IPv4 or IPv6 address' });
+    }
+    res.json({ banned: ip, disconnected: banIp(ip) });
+  });
+
+  app.delete('/api/admin/bans/:ip', requireAdmin, (req, res) => {
+    const ip = normalizeAddress(req.params.ip);
+    if (!bannedIps.delete(ip)) {
+      return res.status(404).json({ error: 'Address is not banned' });
+    }
+    audit.record('ip_unbanned', { ip });
+    logger.log(`🔓 Unbanned ${ip}`);
+    res.json({ unbanned: ip });
+  });
+
+  const getAdminSettings = () => ({
+    inputPaused,
+    sessionTimeout: Math.round(sessionTimeout / 1000)
+  });
+
+  app.get('/api/admin/settings', requireAdmin, (req, res) => {
+    res.json(getAdminSettings());
+  });
+
+  // Change { inputPaused, sessionTimeout (seconds) } without a restart
+  app.put('/api/admin/settings', requireAdmin, (req, res) => {
+    const { inputPaused: paused, sessionTimeout: timeout } = req.body || {};
+    if (paused !== undefined && typeof paused !== 'boolean') {
+      return res.status(400).json({ error: 'inputPaused must be true or false' });
+    }
+    if (timeout !== undefined && (!Number.isInteger(timeout) || timeout < 10)) {
+      return res.status(400).json({ error: 'sessionTimeout must be a whole number of seconds (at least 10)' });
+    }
+
+    if (timeout !== undefined) {
+      sessionTimeout = timeout * 1000;
+      audit.record('settings_changed', { sessionTimeout: timeout });
+      logger.log(`⏱️ Session timeout set to ${timeout}s by admin`);
+    }
+    if (paused !== undefined) {
+      setInputPaused(paused);
+    }
+    res.json(getAdminSettings());
+  });
+
+  // Quick actions for the phone's button grid - ids, labels and icons only
+  app.get('/api/actions', (req, res) => {
+    res.json({ actions: quickActions.list() });
+  });
+
+  // Gamepad profiles for the controller page - stick mode and button labels only
+  app.get('/api/gamepad', (req, res) => {
+    res.json({ profiles: gamepads.list(), timeout: gamepadTimeout });
+  });
+
+  // Recorded macros. Their contents can include typed text, so only the list is public.
+  const macros = createMacroStore({ directory: macroDir });
+
+  function sendMacroError(res, error) {
+    if (error instanceof MacroError) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('Macro storage error:', error);
+    res.status(500).json({ error: 'Macro storage failed' });
+  }
+
+  app.get('/api/macros', async (req, res) => {
+    try {
+      res.json({ macros: await macros.list() });
+    } catch (error) {
+      sendMacroError(res, error);
+    }
+  });
+
+  app.get('/api/macros/:name', requireLocal, async (req, res) => {
+    try {
+      const macro = await macros.get(req.params.name);
+      if (!macro) {
+        return res.status(404).json({ error: 'Macro not found' });
+      }
+      res.json(macro);
+    } catch (error) {
+      sendMacroError(res, error);
+    }
+  });
+
+  // Create or replace a macro from { steps: [{ delay, message }] }
+  app.put('/api/macros/:name', requireLocal, async (req, res) => {
+    try {
+      res.json(await macros.save(req.params.name, req.body?.steps));
+    } catch (error) {
+      sendMacroError(res, error);
+    }
+  });
+
+  app.delete('/api/macros/:name', requireLocal, async (req, res) => {
+    try {
+      if (!await macros.remove(req.params.name)) {
+        return res.status(404).json({ error: 'Macro not found' });
+      }
+      res.json({ deleted: req.params.name });
+    } catch (error) {
+      sendMacroError(res, error);
+    }
+  });
+
+  // File transfer. Uploads and downloads belong to a session: the client names it in the
+  // path and proves it owns it with the transfer token from its hello, as a Bearer header
+  // or (for plain download links) a ?token= parameter.
+  const inbox = inboxDir && createFileInbox({ directory: resolve(inboxDir), maxBytes: uploadMaxBytes, types: uploadTypes });
+  const outbox = outboxDir && createFileOutbox({ directory: resolve(outboxDir) });
+  const MAX_UPLOAD_HISTORY = 50;
+  let uploadCounter = 0;
+
+  function requireTransferSession(req, res, next) {
+    const address = normalizeAddress(req.socket.remoteAddress);
+    if (bannedIps.has(address) || !isAllowedIp(address)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    const [scheme, headerToken] = (req.get('authorization') || '').split(' ');
+    const token = scheme === 'Bearer' ? headerToken : req.query.token;
+    const session = sessions.get(req.params.id);
+    if (!session || typeof token !== 'string' || !safeEqual(token, session.transferToken)) {
+      return res.status(401).json({ error: 'Session transfer token required' });
+    }
+    req.clientSession = session;
+    next();
+  }
+
+  function sendUploadEvent(session, event, upload, details = {}) {
+    send(session.ws, { type: 'upload', event, id: upload.id, name: upload.name, bytes: upload.bytes, total: upload.total, ...details });
+  }
+
+  // Every upload is kept on its session and written to the audit log
+  function finishUpload(session, upload, status, details = {}) {
+    Object.assign(upload, { status, finishedAt: new Date(), ...details });
+    session.uploads.push(summarizeUpload(upload));
+    if (session.uploads.length > MAX_UPLOAD_HISTORY) {
+      session.uploads.shift();
+    }
+    uploadsTotal.inc({ result: status });
+    if (status === 'finished') {
+      uploadBytes.inc({}, upload.bytes);
+    }
+    audit.record('upload', { session: session.id, ip: session.ip, name: upload.name, bytes: upload.bytes, result: status, error: upload.error });
+    sendUploadEvent(session, status, upload, upload.error ? { error: upload.error } : {});
+  }
+
+  const summarizeUpload = ({ id, name, type, bytes, total, status, error, startedAt, finishedAt }) =>
+    ({ id, name, type, bytes, total, status, error, startedAt, finishedAt });
+
+  // Stream a file from the phone into the inbox: POST the raw bytes with ?name=<file name>.
+  // Progress goes to the session's socket as `upload` messages.
+  app.post('/api/sessions/:id/uploads', requireTransferSession, async (req, res) => {
+    if (!inbox) {
+      return res.status(404).json({ error: 'File uploads are disabled' });
+    }
+    const session = req.clientSession;
+    if (session.upload) {
+      return res.status(409).set('Connection', 'close').json({ error: 'Another upload is still running for this session' });
+    }
+
+    const length = req.get('content-length') !== undefined ? Number(req.get('content-length')) : null;
+    const upload = {
+      id: `upload_${++uploadCounter}`,
+      name: sanitizeFileName(req.query.name),
+      type: null,
+      bytes: 0,
+      total: length,
+      status: 'receiving',
+      startedAt: new Date(),
+      controller: new AbortController()
+    };
+    session.upload = upload;
+
+    let lastProgress = 0;
+    try {
+      inbox.check(upload.name, length ?? 0);
+      sendUploadEvent(session, 'started', upload);
+      logger.log(`[${session.id}] 📥 Receiving ${upload.name}${length !== null ? ` (${length} bytes)` : ''}`);
+
+      const file = await inbox.receive(req, {
+        name: upload.name,
+        length,
+        signal: upload.controller.signal,
+        onProgress: (bytes) => {
+          upload.bytes = bytes;
+          if (Date.now() - lastProgress >= uploadProgressInterval) {
+            lastProgress = Date.now();
+            sendUploadEvent(session, 'progress', upload);
+          }
+        }
+      });
+
+      finishUpload(session, upload, 'finished', { name: file.name, type: file.type, bytes: file.bytes });
+      logger.log(`[${session.id}] 📥 Saved ${file.path}`);
+      res.status(201).json(summarizeUpload(upload));
+    } catch (error) {
+      const status = error instanceof FileTransferError ? error.status
+        : upload.controller.signal.aborted ? 410
+          : req.destroyed ? 400 : 500;
+      const message = status === 410 ? 'Session ended'
+        : status === 400 && !(error instanceof FileTransferError) ? 'Upload interrupted'
+          : status === 500 ? 'Saving the file failed' : error.message;
+      if (status === 500) {
+        logger.error(`[${session.id}] Upload of ${upload.name} failed:`, error);
+      } else {
+        logger.warn(`[${session.id}] ⚠️ Upload of ${upload.name} refused: ${message}`);
+      }
+      finishUpload(session, upload, 'failed', { error: message });
+      if (!res.headersSent) {
+        res.status(status).set('Connection', 'close').json({ error: message });
+      }
+    } finally {
+      session.upload = null;
+    }
+  });
+
+  function sendOutboxError(res, error) {
+    logger.error('Outbox error:', error);
+    res.status(500).json({ error: 'Reading the outbox failed' });
+  }
+
+  app.get('/api/sessions/:id/outbox', requireTransferSession, async (req, res) => {
+    if (!outbox) {
+      return res.status(404).json({ error: 'The outbox is disabled' });
+    }
+    try {
+      res.json({ files: await outbox.list() });
+    } catch (error) {
+      sendOutboxError(res, error);
+    }
+  });
+
+  app.get('/api/sessions/:id/outbox/:name', requireTransferSession, async (req, res) => {
+    if (!outbox) {
+      return res.status(404).json({ error: 'The outbox is disabled' });
+    }
+    try {
+      const file = await outbox.find(req.params.name);
+      if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      const session = req.clientSession;
+      downloadsTotal.inc();
+      audit.record('download', { session: session.id, ip: session.ip, name: file.name, bytes: file.size });
+      logger.log(`[${session.id}] 📤 Sending ${file.name} (${file.size} bytes)`);
+      res.download(file.path, file.name);
+    } catch (error) {
+      sendOutboxError(res, error);
+    }
+  });
+
+  // Serve the admin dashboard (its API calls carry the admin token)
+  app.get('/admin', (req, res) => {
+    res.sendFile(join(ROOT_DIR, 'admin.html'));
+  });
+
+  // Serve the host-side pairing page (its API calls are host-only)
+  app.get('/pair', (req, res) => {
+    res.sendFile(join(ROOT_DIR, 'pair.html'));
+  });
+
+  // Serve the session page
+  app.get('/session.html', (req, res) => {
+    res.sendFile(join(ROOT_DIR, 'session.html'));
+  });
+
+  // Serve the gamepad page
+  app.get('/gamepad.html', (req, res) => {
+    res.sendFile(join(ROOT_DIR, 'gamepad.html'));
+  });
+
+  // Serve the mobile control interface
+  app.get('/', (req, res) => {
+    res.sendFile(join(ROOT_DIR, 'index.html'));
+  });
+
+  // Forget a session for good: release whatever it holds and pass control on
+  function endSession(session, reason) {
+    clearTimeout(session.graceTimer);
+    clearTimeout(session.cursorTimer);
+    session.motion.cancel();
+    stopPlayback(session, 'session ended');
+    session.recording = null;
+    session.upload?.controller.abort();
+    releaseHeldInput(session);
+    sessions.delete(session.id);
+    control.remove(session.id);
+    screenStreamer?.forget(session);
+
+    audit.record('session_end', { session: session.id, ip: session.ip, reason });
+    logger.log(`📱 Session ended: ${session.id} (${reason})`);
+    logger.log(`   Duration: ${Math.round((Date.now() - session.connectedAt) / 1000)}s`);
+    logger.log(`   Remaining sessions: ${sessions.size}`);
+  }
+
+  // Keep a disconnected session (and its control) for a while so the client can resume it
+  function detachSession(session) {
+    session.ws = null;
+    session.detachedAt = new Date();
+    clearTimeout(session.cursorTimer);
+    session.cursorTimer = null;
+    session.motion.cancel();
+    // Don't keep driving the host for a client that's gone
+    stopPlayback(session, 'disconnected');
+    session.recording = null;
+    // Nobody is left to let go of held keys or buttons
+    releaseHeldInput(session);
+
+    if (resumeGrace <= 0) {
+      endSession(session, 'disconnected');
+      return;
+    }
+
+    logger.log(`📴 Session detached: ${session.id} (resumable for ${Math.round(resumeGrace / 1000)}s)`);
+    session.graceTimer = setTimeout(() => endSession(session, 'resume window expired'), resumeGrace);
+    session.graceTimer.unref();
+  }
+
+  // A reconnecting client proves it owns a session with the resume token it was last given
+  function findResumableSession(sessionId, resumeToken) {
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session || !resumeToken || !safeEqual(resumeToken, session.resumeToken)) {
+      return null;
+    }
+    return session;
+  }
+
+  // Drop a session and make sure its pairing token can't be used again
+  function revokeSession(sessionId, reason) {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      return false;
+    }
+
+    pairing.revokeToken(session.tokenId, session.tokenExpiresAt);
+    endSession(session, reason);
+    if (session.ws && session.ws.readyState === 1) {
+      session.ws.close(4001, reason);
+    }
+    audit.record('session_revoked', { session: sessionId, ip: session.ip, reason });
+    logger.log(`🔒 Session revoked: ${sessionId} (${reason})`);
+    return true;
+  }
+
+  // Refuse new connections from an address and revoke its sessions. Returns the
+  // number of sessions that were dropped.
+  function banIp(address) {
+    const ip = normalizeAddress(address);
+    bannedIps.add(ip);
+    const banned = [...sessions.values()].filter(session => normalizeAddress(session.ip) === ip);
+    for (const session of banned) {
+      revokeSession(session.id, 'Banned by admin');
+    }
+    audit.record('ip_banned', { ip, sessions: banned.map(session => session.id) });
+    logger.log(`🚫 Banned ${ip} (${banned.length} session${banned.length === 1 ? '' : 's'} dropped)`);
+    return banned.length;
+  }
+
+  // Stop (or resume) all remote input, e.g. while the host is being used in person
+  function setInputPaused(paused) {
+    if (paused === inputPaused) return;
+    inputPaused = paused;
+
+    for (const session of sessions.values()) {
+      if (paused) {
+        stopPlayback(session, 'input paused');
+        session.motion.cancel();
+        releaseHeldInput(session);
+      }
+      send(session.ws, { type: 'paused', paused });
+    }
+    audit.record(paused ? 'input_paused' : 'input_resumed');
+    logger.log(paused ? '⏸️ Remote input paused by admin' : '▶️ Remote input resumed by admin');
+  }
+
+  // Make sure a dropped client can't leave keys or mouse buttons stuck down on the host
+  function releaseHeldInput(session) {
+    if (!driver) return;
+
+    session.gamepad.release();
+    for (const key of session.heldKeys) {
+      try {
+        driver.keyToggle(key, 'up');
+      } catch (error) {
+        logger.error(`[${session.id}] Failed to release key ${key}:`, error);
+      }
+    }
+    session.heldKeys.clear();
+
+    for (const button of session.heldButtons) {
+      try {
+        driver.mouseToggle('up', button);
+      } catch (error) {
+        logger.error(`[${session.id}] Failed to release ${button} button:`, error);
+      }
+    }
+    session.heldButtons.clear();
+  }
+
+  // Gamepad buttons (and stick directions in arrows / WASD mode) hold their key or mouse
+  // button down like keyDown / mouseDown, so releaseHeldInput covers them too. Releases can
+  // come from the gamepad's timeout, so driver errors are logged rather than thrown.
+  function toggleGamepadBinding(session, binding, isDown) {
+    const state = isDown ? 'down' : 'up';
+    try {
+      if (binding.mouse) {
+        driver.mouseToggle(state, binding.mouse);
+        session.heldButtons[isDown ? 'add' : 'delete'](binding.mouse);
+      } else {
+        driver.keyToggle(binding.key, state, binding.modifiers);
+        session.heldKeys[isDown ? 'add' : 'delete'](binding.key);
+      }
+    } catch (error) {
+      logger.error(`[${session.id}] Failed to ${isDown ? 'press' : 'release'} gamepad ${binding.id}:`, error);
+      return;
+    }
+    const target = binding.mouse ? `${binding.mouse} button` : [...binding.modifiers, binding.key].join('+');
+    if (isDown) {
+      audit.record('input', { session: session.id, type: 'gamepad', button: binding.id, ...(binding.mouse ? { mouse: binding.mouse } : { key: binding.key, modifiers: binding.modifiers }) });
+    }
+    logger.log(`[${session.id}] 🎮 Gamepad ${binding.id} ${state} (${target})`);
+  }
+
+  function send(ws, payload) {
+    if (ws && ws.readyState === 1) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  function sendError(ws, code, message, seq, details = {}) {
+    send(ws, { type: 'error', code, message, seq, ...details });
+  }
+
+  function sendControlState(session) {
+    send(session.ws, {
+      type: 'control',
+      role: control.getRole(session.id),
+      ...control.getState()
+    });
+  }
+
+  // First message on every connection: who the client is and what the host can do
+  function sendHello(session, resumed) {
+    send(session.ws, {
+      type: 'hello',
+      protocolVersion: PROTOCOL_VERSION,
+      sessionId: session.id,
+      resumed,
+      resumeToken: session.resumeToken,
+      resumeGrace,
+      inputDriver: driver ? driver.name : null,
+      inputAvailable: !!driver,
+      inputPaused,
+      screenSize: driver ? driver.getScreenSize() : null,
+      settings: session.motion.getSettings(),
+      displays: displayLayout.list(),
+      display: session.display,
+      commands: Object.keys(MESSAGE_SCHEMAS),
+      topics: SUBSCRIPTION_TOPICS.filter(topic => topic !== 'screen' || screenStreamer),
+      screenStream: screenStreamer ? screenStreamer.getSettings(session) : null,
+      clipboard: clipboard ? { maxBytes: clipboardMaxBytes } : null,
+      files: inbox || outbox ? {
+        token: session.transferToken,
+        upload: inbox ? { maxBytes: inbox.maxBytes, types: inbox.types } : null,
+        outbox: Boolean(outbox)
+      } : null
+    });
+  }
+
+  // The cursor is shared, so a move from any client updates every subscriber.
+  // Updates are throttled per client to at most one every `cursorInterval` ms.
+  function scheduleCursorUpdates() {
+    for (const session of sessions.values()) {
+      if (!session.subscriptions.has('cursor') || session.cursorTimer) continue;
+
+      const wait = Math.max(0, session.lastCursorUpdate + cursorInterval - Date.now());
+      session.cursorTimer = setTimeout(() => {
+        session.cursorTimer = null;
+        session.lastCursorUpdate = Date.now();
+        try {
+          const { x, y } = driver.getMousePos();
+          send(session.ws, { type: 'cursor', x, y });
+        } catch (error) {
+          logger.error(`[${session.id}] Failed to read cursor position:`, error);
+        }
+      }, wait);
+    }
+  }
+
+  // Apply one coalesced frame of pointer motion, keeping the cursor on a display
+  function applyMotion(session, deltaX, deltaY) {
+    movePointer(session, () => {
+      const currentPos = driver.getMousePos();
+      return { x: currentPos.x + deltaX, y: currentPos.y + deltaY };
+    });
+  }
+
+  function moveTo(session, x, y) {
+    movePointer(session, () => ({ x, y }));
+  }
+
+  // Runs from motion and gamepad timers, so a driver that throws (xdotool timing
+  // out on the position read, say) is logged here rather than ending the process
+  function movePointer(session, getTarget) {
+    try {
+      const { x, y } = getTarget();
+      const target = displayLayout.clamp(x, y);
+      driver.moveMouse(target.x, target.y);
+      scheduleCursorUpdates();
+    } catch (error) {
+      logger.error(`[${session.id}] Failed to move the pointer:`, error);
+    }
+  }
+
+  function sendDisplay(session) {
+    send(session.ws, { type: 'display', ...displayLayout.get(session.display) });
+  }
+
+  // Count malformed messages per session and drop clients that keep sending them
+  function recordInvalidMessage(session, now = Date.now()) {
+    if (now - session.invalidWindowStart > invalidMessageWindow) {
+      session.invalidWindowStart = now;
+      session.invalidMessages = 0;
+    }
+    session.invalidMessages++;
+
+    if (session.invalidMessages >= maxInvalidMessages) {
+      logger.log(`🚫 [${session.id}] Too many invalid messages - disconnecting`);
+      const { ws } = session;
+      // Abusive clients don't get to resume
+      endSession(session, 'too many invalid messages');
+      ws.close(1008, 'Too many invalid messages');
+    }
+  }
+
+  // Drop a message that is over its limit (`type` is null for the address-wide limit).
+  // The client hears about it once per run of throttled messages of a type, or for every
+  // numbered one since it waits for a reply. Clients that keep flooding are disconnected.
+  function throttleMessage(session, type, retryAfter, seq, now = Date.now()) {
+    const key = type || 'address';
+    throttleStats.messages++;
+    throttleStats.byType[key] = (throttleStats.byType[key] || 0) + 1;
+
+    if (seq !== undefined || !session.throttledTypes.has(key)) {
+      session.throttledTypes.add(key);
+      logger.warn(`[${session.id}] 🐢 Throttled ${key} (retry in ${retryAfter}ms)`);
+      sendError(session.ws, ErrorCodes.RATE_LIMITED, `Too many ${type ? `${type} messages` : 'messages'} - slow down`, seq, { retryAfter });
+    }
+
+    if (now - session.throttleWindowStart > invalidMessageWindow) {
+      session.throttleWindowStart = now;
+      session.throttledMessages = 0;
+    }
+    session.throttledMessages++;
+    if (session.throttledMessages >= maxThrottledMessages) {
+      logger.warn(`🚫 [${session.id}] Kept flooding after being throttled - disconnecting`);
+      audit.record('flood_disconnect', { session: session.id, ip: session.ip });
+      throttleStats.disconnects++;
+      const { ws } = session;
+      endSession(session, 'rate limit exceeded');
+      ws.close(1008, 'Rate limit exceeded');
+    }
+  }
+
+  function sendMacroEvent(session, event, name, details = {}) {
+    send(session.ws, { type: 'macro', event, name, ...details });
+  }
+
+  function stopPlayback(session, reason) {
+    if (session.playback) {
+      session.playback.cancel(reason);
+      session.playback = null;
+    }
+  }
+
+  async function finishRecording(session) {
+    const { recording } = session;
+    if (!recording) {
+      throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Not recording a macro');
+    }
+    session.recording = null;
+    if (recording.steps.length === 0) {
+      throw new ProtocolError(ErrorCodes.INVALID_MESSAGE, 'Nothing was recorded');
+    }
+
+    const saved = await macros.save(recording.name, recording.steps);
+    sendMacroEvent(session, 'saved', saved.name, { steps: saved.steps, duration: saved.duration });
+    logger.log(`[${session.id}] 🎬 Saved macro ${saved.name} (${saved.steps} steps)`);
+  }
+
+  // Play a stored macro as the session, so it needs (and keeps checking for) control
+  async function startPlayback(session, { name, speed }) {
+    const macro = await macros.get(name);
+    if (!macro) {
+      throw new ProtocolError(ErrorCodes.MACRO_NOT_FOUND, `No macro ${name}`);
+    }
+
+    stopPlayback(session, 'replaced');
+    const playback = playMacro(macro, {
+      speed,
+      run: (message) => handleMessage(session, message, { fromMacro: true })
+    });
+    session.playback = playback;
+    sendMacroEvent(session, 'started', name, { speed });
+    logger.log(`[${session.id}] 🎬 Playing macro ${name} at ${speed}x`);
+
+    playback.done.then(({ status, reason, error }) => {
+      if (session.playback === playback) {
+        session.playback = null;
+      }
+      if (error && !(error instanceof ProtocolError)) {
+        logger.error(`[${session.id}] Macro ${name} failed:`, error);
+      }
+      sendMacroEvent(session, status, name, error ? { reason: error.message } : reason ? { reason } : {});
+    });
+  }
+
+  async function runQuickAction(session, id) {
+    const action = quickActions.get(id);
+    if (!action) {
+      throw new ProtocolError(ErrorCodes.ACTION_NOT_FOUND, `No action named ${id}`);
+    }
+    try {
+      await quickActions.run(id, driver);
+    } catch (error) {
+      logger.error(`[${session.id}] Action ${id} failed:`, error);
+      throw new ProtocolError(ErrorCodes.COMMAND_FAILED, `${action.label} failed to run`);
+    }
+    logger.log(`[${session.id}] ⚡ Action: ${action.label}`);
+  }
+
+  // Every clipboard transfer is kept on the session (size only, never the text)
+  // and written to the audit log
+  const MAX_CLIPBOARD_HISTORY = 50;
+
+  function recordClipboardTransfer(session, direction, text) {
+    const transfer = { direction, bytes: Buffer.byteLength(text), characters: [...text].length, at: new Date() };
+    session.clipboardTransfers.push(transfer);
+    if (session.clipboardTransfers.length > MAX_CLIPBOARD_HISTORY) {
+      session.clipboardTransfers.shift();
+    }
+    clipboardTransfers.inc({ direction });
+    audit.record('clipboard', { session: session.id, ip: session.ip, direction, bytes: transfer.bytes, characters: transfer.characters });
+    logger.log(`[${session.id}] 📋 Clipboard ${direction === 'toHost' ? 'phone → host' : 'host → phone'} (${transfer.characters} characters)`);
+  }
+
+  const clipboardTooLarge = (bytes) => new ProtocolError(
+    ErrorCodes.CLIPBOARD_TOO_LARGE,
+    `Clipboard text is ${bytes} bytes; the limit is ${clipboardMaxBytes}`
+  );
+
+  async function writeClipboard(session, text) {
+    const bytes = Buffer.byteLength(text);
+    if (bytes > clipboardMaxBytes) {
+      throw clipboardTooLarge(bytes);
+    }
+    await clipboard.write(text);
+    recordClipboardTransfer(session, 'toHost', text);
+  }
+
+  async function readClipboard(session, seq) {
+    const text = String(await clipboard.read() ?? '');
+    const bytes = Buffer.byteLength(text);
+    if (bytes > clipboardMaxBytes) {
+      throw clipboardTooLarge(bytes);
+    }
+    send(session.ws, { type: 'clipboard', text, ...(seq !== undefined ? { seq } : {}) });
+    recordClipboardTransfer(session, 'fromHost', text);
+  }
+
+  // Run a validated message for a session. Throws a ProtocolError for requests
+  // that are well-formed but can't be honoured. Macro commands that touch the
+  // disk return a promise.
+  function handleMessage(session, data, { fromMacro = false } = {}) {
+    if (INPUT_COMMANDS.has(data.type)) {
+      if (!driver) {
+        throw new ProtocolError(ErrorCodes.INPUT_UNAVAILABLE, 'Remote control is disabled on this host (server mode)');
+      }
+      if (inputPaused) {
+        throw new ProtocolError(ErrorCodes.INPUT_PAUSED, 'Remote input is paused on the host');
+      }
+      // Input from a viewer takes control only if nobody else holds it
+      if (!control.claimIfFree(session.id)) {
+        throw new ProtocolError(ErrorCodes.NOT_CONTROLLER, 'Another session is in control - send requestControl to queue');
+      }
+      // A live touch always wins over a playing macro
+      if (!fromMacro && data.type !== 'macroPlay') {
+        stopPlayback(session, 'live input');
+      }
+      // Land any buffered movement first so clicks and drags happen where the pointer was sent
+      if (data.type !== 'move' && data.type !== 'moveAbsolute') {
+        session.motion.flush();
+      }
+    }
+    if (CLIPBOARD_COMMANDS.has(data.type)) {
+      if (!clipboard) {
+        throw new ProtocolError(ErrorCodes.CLIPBOARD_UNAVAILABLE, 'Clipboard sync is not enabled on this host');
+      }
+      if (inputPaused) {
+        throw new ProtocolError(ErrorCodes.INPUT_PAUSED, 'Remote input is paused on the host');
+      }
+      if (!control.claimIfFree(session.id)) {
+        throw new ProtocolError(ErrorCodes.NOT_CONTROLLER, 'Another session is in control - send requestControl to queue');
+      }
+    }
+
+    // Process the command for this session
+    switch (data.type) {
+      case 'requestControl':
+        control.request(session.id);
+        break;
+
+      case 'releaseControl':
+        control.release(session.id);
+        break;
+
+      case 'grantControl':
+        if (!sessions.has(data.sessionId)) {
+          throw new ProtocolError(ErrorCodes.SESSION_NOT_FOUND, `No session ${data.sessionId}`);
+        }
+        if (!control.grant(session.id, data.sessionId)) {
+          throw new ProtocolError(ErrorCodes.NOT_CONTROLLER, 'Only the controlling session can hand over control');
+        }
+        break;
+
+      case 'subscribe':
+        if (data.topic === 'screen' && !screenStreamer) {
+          throw new ProtocolError(ErrorCodes.CAPTURE_UNAVAILABLE, 'Screen capture is not available on this host');
+        }
+        session.subscriptions.add(data.topic);
+        if (data.topic === 'cursor' && driver) {
+          scheduleCursorUpdates();
+        }
+        if (data.topic === 'screen') {
+          screenStreamer.reset(session);
+          screenStreamer.wake();
+        }
+        break;
+
+      case 'unsubscribe':
+        session.subscriptions.delete(data.topic);
+        break;
+
+      case 'move':
+        // Raw finger deltas; the session's motion pipeline shapes and batches them
+        session.motion.push(data.deltaX, data.deltaY);
+        break;
+
+      case 'moveAbsolute': {
+        // x and y are 0-1 across the session's display, like a tablet
+        const target = displayLayout.toAbsolute(session.display, data.x, data.y);
+        session.motion.aim(target.x, target.y);
+        break;
+      }
+
+      case 'selectDisplay': {
+        const { count } = displayLayout;
+        let index;
+        if (data.index !== undefined) {
+          if (data.index >= count) {
+            throw new ProtocolError(ErrorCodes.INVALID_FIELD, `index must be between 0 and ${count - 1}`);
+          }
+          index = data.index;
+        } else if (data.cycle) {
+          index = (session.display + (data.cycle === 'next' ? 1 : count - 1)) % count;
+        } else {
+          throw new ProtocolError(ErrorCodes.INVALID_FIELD, 'index or cycle is required');
+        }
+
+        // Jump to the middle of the new display so relative moves continue there too
+        session.display = index;
+        const center = displayLayout.center(index);
+        driver.moveMouse(center.x, center.y);
+        scheduleCursorUpdates();
+        sendDisplay(session);
+        // Show the new display straight away rather than at the next frame
+        if (session.subscriptions.has('screen')) {
+          screenStreamer.reset(session);
+          screenStreamer.wake();
+        }
+        logger.log(`[${session.id}] 🖥️ Display: ${displayLayout.get(index).name}`);
+        break;
+      }
+
+      case 'macroRecord':
+        session.recording = createMacroRecorder(data.name);
+        sendMacroEvent(session, 'recording', data.name);
+        logger.log(`[${session.id}] 🎬 Recording macro ${data.name}`);
+        break;
+
+      case 'macroStop':
+        return finishRecording(session);
+
+      case 'macroPlay':
+        return startPlayback(session, data).then(() => recordInput(session, data, fromMacro));
+
+      case 'macroCancel':
+        stopPlayback(session, 'cancelled');
+        break;
+
+      case 'runAction':
+        return runQuickAction(session, data.id).then(() => recordInput(session, data, fromMacro));
+
+      case 'gamepad': {
+        const profile = gamepads.get(data.profile);
+        if (!profile) {
+          throw new ProtocolError(ErrorCodes.PROFILE_NOT_FOUND, `No gamepad profile named ${data.profile}`);
+        }
+        const unknown = data.buttons.find(id => !profile.buttons.some(button => button.id === id));
+        if (unknown) {
+          throw new ProtocolError(ErrorCodes.INVALID_FIELD, `buttons: ${profile.label} has no button ${unknown}`);
+        }
+        session.gamepad.update(profile, data);
+        break;
+      }
+
+      case 'clipboardSet':
+        return writeClipboard(session, data.text);
+
+      case 'clipboardGet':
+        return readClipboard(session, data.seq);
+
+      case 'settings':
+        send(session.ws, { type: 'settings', ...session.motion.updateSettings(data) });
+        logger.log(`[${session.id}] ⚙️ Pointer settings: ${JSON.stringify(session.motion.getSettings())}`);
+        break;
+
+      case 'screenSettings':
+        if (!screenStreamer) {
+          throw new ProtocolError(ErrorCodes.CAPTURE_UNAVAILABLE, 'Screen capture is not available on this host');
+        }
+        send(session.ws, { type: 'screenSettings', ...screenStreamer.updateSettings(session, data) });
+        logger.log(`[${session.id}] 📺 Screen stream: ${JSON.stringify(screenStreamer.getSettings(session))}`);
+        break;
+
+      case 'click':
+        driver.mouseClick();
+        logger.log(`[${session.id}] 🖱️ Left click`);
+        break;
+
+      case 'rightClick':
+        driver.mouseClick('right');
+        logger.log(`[${session.id}] 🖱️ Right click`);
+        break;
+
+      case 'middleClick':
+        driver.mouseClick('middle');
+        logger.log(`[${session.id}] 🖱️ Middle click`);
+        break;
+
+      case 'doubleClick':
+        driver.mouseClick('left', true);
+        logger.log(`[${session.id}] 🖱️ Double click`);
+        break;
+
+      case 'mouseDown':
+      case 'mouseUp': {
+        const isDown = data.type === 'mouseDown';
+        driver.mouseToggle(isDown ? 'down' : 'up', data.button);
+        if (isDown) {
+          session.heldButtons.add(data.button);
+        } else {
+          session.heldButtons.delete(data.button);
+        }
+        logger.log(`[${session.id}] 🖱️ ${data.button} button ${isDown ? 'down' : 'up'}`);
+        break;
+      }
+
+      case 'scroll':
+        // Modifiers are held only for the scroll itself, e.g. control+scroll to zoom
+        for (const modifier of data.modifiers) {
+          driver.keyToggle(modifier, 'down');
+        }
+        try {
+          driver.scrollMouse(data.deltaX, data.deltaY);
+        } finally {
+          for (const modifier of data.modifiers) {
+            driver.keyToggle(modifier, 'up');
+          }
+        }
+        logger.log(`[${session.id}] 🖱️ Scroll: ${data.deltaX}, ${data.deltaY}${data.modifiers.length ? ` (${data.modifiers.join('+')})` : ''}`);
+        break;
+
+      case 'keyTap':
+        driver.keyTap(data.key, data.modifiers);
+        logger.log(`[${session.id}] ⌨️ Key tap: ${[...data.modifiers, data.key].join('+')}`);
+        break;
+
+      case 'keyDown':
+      case 'keyUp': {
+        const isDown = data.type === 'keyDown';
+        driver.keyToggle(data.key, isDown ? 'down' : 'up', data.modifiers);
+        if (isDown) {
+          session.heldKeys.add(data.key);
+        } else {
+          session.heldKeys.delete(data.key);
+        }
+        logger.log(`[${session.id}] ⌨️ Key ${isDown ? 'down' : 'up'}: ${data.key}`);
+        break;
+      }
+
+      case 'slide': {
+        const { key, modifiers } = slideActions[data.action];
+        driver.keyTap(key, modifiers);
+        logger.log(`[${session.id}] 🎤 Slide: ${data.action}`);
+        break;
+      }
+
+      case 'typeText':
+        driver.typeString(data.text);
+        logger.log(`[${session.id}] ⌨️ Typed ${[...data.text].length} characters`);
+        break;
+    }
+
+    if (data.type === 'scroll') {
+      scheduleCursorUpdates();
+    }
+    recordInput(session, data, fromMacro);
+  }
+
+  // After a command has run: add it to the session's macro recording and the audit log
+  function recordInput(session, data, fromMacro) {
+    if (session.recording && !fromMacro && MACRO_COMMANDS.has(data.type)) {
+      session.recording.record(data);
+    }
+    if (AUDITED_COMMANDS.has(data.type)) {
+      auditInput(session, data, fromMacro);
+    }
+  }
+
+  // What was pressed, but never what was typed
+  function auditInput(session, data, fromMacro) {
+    const { type, seq, text, ...details } = data;
+    if (text !== undefined) {
+      details.characters = [...text].length;
+    }
+    audit.record('input', { session: session.id, type, ...details, ...(fromMacro ? { macro: session.playback?.name } : {}) });
+  }
+
+  // Close sessions that have been idle too long or whose pairing has expired
+  function cleanupInactiveSessions(now = Date.now()) {
+    let cleanedCount = 0;
+
+    pairing.pruneRevoked(now);
+    for (const [address, ipClient] of ipClients) {
+      if (ipClient.connections === 0 && ipClient.bucket.isFull()) {
+        ipClients.delete(address);
+      }
+    }
+
+    for (const [sessionId, session] of sessions) {
+      const { ws } = session;
+
+      if (session.tokenExpiresAt && session.tokenExpiresAt <= now) {
+        logger.log(`🔒 Pairing expired for session: ${sessionId}`);
+        endSession(session, 'pairing expired');
+        if (ws && ws.readyState === 1) {
+          ws.close(4001, 'Pairing expired');
+        }
+        cleanedCount++;
+        continue;
+      }
+
+      const inactiveTime = now - session.lastActivity.getTime();
+      if (inactiveTime > sessionTimeout) {
+        logger.log(`🧹 Cleaning up inactive session: ${sessionId} (inactive for ${Math.round(inactiveTime / 1000)}s)`);
+        endSession(session, 'inactive');
+        if (ws && ws.readyState === 1) {
+          ws.close();
+        }
+        cleanedCount++;
+      }
+    }
+
+    if (cleanedCount > 0) {
+      logger.log(`🧹 Cleaned up ${cleanedCount} inactive sessions. Active sessions: ${sessions.size}`);
+    }
+    return cleanedCount;
+  }
+
+  function recordAuthFailure(ip, reason) {
+    authFailures.inc({ reason });
+    audit.record('auth_failure', { ip, reason });
+  }
+
+  // Browsers always send Origin on WebSocket upgrades, so a page on another site can't
+  // drive the host unless its origin is allowed. Our own pages are same-origin (the
+  // Host they name has been checked by then), and clients without an Origin header
+  // (scripts, native apps) aren't browsers.
+  function isAllowedUpgradeOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    try {
+      if (new URL(origin).host === req.headers.host) {
+        return true;
+      }
+    } catch (error) {
+      return false;
+    }
+    return isAllowedOrigin(origin);
+  }
+
+  // Only paired clients may open the control socket. A valid pairing code is
+  // exchanged for a token that is sent back once the connection is open.
+  function verifyClient(info, callback) {
+    const address = normalizeAddress(info.req.socket.remoteAddress);
+    if (bannedIps.has(address)) {
+      logger.warn(`🚫 Rejected connection from banned address ${address}`);
+      recordAuthFailure(address, 'banned');
+      return callback(false, 403, 'Forbidden');
+    }
+    if (!isAllowedIp(address)) {
+      logger.warn(`🚫 Rejected connection from ${address}: not in the IP allowlist`);
+      recordAuthFailure(address, 'ip_not_allowed');
+      return callback(false, 403, 'Forbidden');
+    }
+    if (!isAllowedHost(info.req)) {
+      logger.warn(`🚫 Rejected connection from ${address}: unknown host ${info.req.headers.host}`);
+      recordAuthFailure(address, 'host_not_allowed');
+      return callback(false, 403, 'Forbidden');
+    }
+    if (!isAllowedUpgradeOrigin(info.req)) {
+      logger.warn(`🚫 Rejected connection from ${address}: origin ${info.req.headers.origin} not allowed`);
+      recordAuthFailure(address, 'origin_not_allowed');
+      return callback(false, 403, 'Forbidden');
+    }
+    if ((ipClients.get(address)?.connections || 0) >= maxConnectionsPerIp) {
+      throttleStats.connectionsRejected++;
+      logger.warn(`🐢 Rejected connection from ${address}: ${maxConnectionsPerIp} already open`);
+      recordAuthFailure(address, 'connection_limit');
+      return callback(false, 429, 'Too Many Connections');
+    }
+
+    if (!requirePairing) {
+      return callback(true);
+    }
+
+    const params = new URL(info.req.url, 'http://localhost').searchParams;
+    const token = params.get('token');
+    const code = params.get('code');
+
+    const lockout = !token && code ? pairing.getLockout(address) : 0;
+    if (lockout > 0) {
+      logger.warn(`🔒 Rejected pairing code from ${address}: locked out for ${Math.ceil(lockout / 1000)}s after wrong codes`);
+      recordAuthFailure(address, 'pairing_locked_out');
+      return callback(false, 429, 'Too Many Requests', { 'Retry-After': String(Math.ceil(lockout / 1000)) });
+    }
+
+    if (token) {
+      const claims = pairing.verifyToken(token);
+      if (claims) {
+        info.req.pairing = claims;
+        return callback(true);
+      }
+    } else if (code && pairing.verifyCode(code, address)) {
+      info.req.pairing = { ...pairing.issueToken(), issued: true };
+      return callback(true);
+    }
+
+    logger.warn(`🔒 Rejected unpaired connection from ${address}`);
+    recordAuthFailure(address, token ? 'invalid_token' : code ? 'invalid_code' : 'unpaired');
+    callback(false, 401, 'Unauthorized');
+  }
+
+  // Create WebSocket server
+  const wss = new WebSocketServer({
+    server,
+    path: '/ws',
+    verifyClient,
+    // Leave room for the size check in parseMessage to answer with an error first
+    maxPayload: MAX_INBOUND_BYTES * 2
+  });
+
+  wss.on('connection', (ws, req) => {
+    connectedClients++;
+    connectionsTotal.inc();
+
+    const address = normalizeAddress(req.socket.remoteAddress);
+    if (!ipClients.has(address)) {
+      ipClients.set(address, { connections: 0, bucket: createTokenBucket(ipRateLimit) });
+    }
+    const ipClient = ipClients.get(address);
+    ipClient.connections++;
+
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    const resumeRequested = params.has('resume');
+    let clientSession = resumeRequested
+      ? findResumableSession(params.get('resume'), params.get('resumeToken'))
+      : null;
+    const resumed = !!clientSession;
+
+    if (resumed) {
+      // Take the session back, including its control, subscriptions and settings
+      const previousWs = clientSession.ws;
+      clearTimeout(clientSession.graceTimer);
+      clientSession.ws = ws;
+      clientSession.ip = req.socket.remoteAddress;
+      clientSession.userAgent = req.headers['user-agent'] || null;
+      clientSession.detachedAt = null;
+      clientSession.lastActivity = new Date();
+      if (req.pairing) {
+        clientSession.tokenId = req.pairing.tokenId;
+        clientSession.tokenExpiresAt = req.pairing.expiresAt;
+      }
+      if (previousWs && previousWs.readyState === 1) {
+        previousWs.close(4002, 'Session resumed on another connection');
+      }
+      logger.log(`📱 Session resumed: ${clientSession.id}`);
+    } else {
+      // Create new session for this client
+      const sessionId = generateSessionId();
+      clientSession = {
+        id: sessionId,
+        ws: ws,
+        ip: req.socket.remoteAddress,
+        connectedAt: new Date(),
+        lastActivity: new Date(),
+        detachedAt: null,
+        graceTimer: null,
+        tokenId: req.pairing ? req.pairing.tokenId : null,
+        tokenExpiresAt: req.pairing ? req.pairing.expiresAt : null,
+        heldKeys: new Set(),
+        heldButtons: new Set(),
+        display: 0,
+        recording: null,
+        playback: null,
+        subscriptions: new Set(),
+        cursorTimer: null,
+        lastCursorUpdate: 0,
+        invalidMessages: 0,
+        invalidWindowStart: Date.now(),
+        userAgent: req.headers['user-agent'] || null,
+        rateLimiter: createRateLimiter(messageLimits),
+        throttledTypes: new Set(),
+        throttledMessages: 0,
+        throttleWindowStart: Date.now(),
+        messageCount: 0,
+        rejectedCount: 0,
+        lastCommand: null,
+        lastCommandAt: null,
+        clipboardTransfers: [],
+        transferToken: generateToken(),
+        upload: null,
+        uploads: []
+      };
+      clientSession.motion = createMotionPipeline({
+        settings: motionSettings,
+        frameInterval,
+        onMove: (deltaX, deltaY) => applyMotion(clientSession, deltaX, deltaY),
+        onMoveTo: (x, y) => moveTo(clientSession, x, y)
+      });
+      clientSession.gamepad = createGamepadController({
+        frameInterval,
+        timeout: gamepadTimeout,
+        onPress: (binding) => toggleGamepadBinding(clientSession, binding, true),
+        onRelease: (binding) => toggleGamepadBinding(clientSession, binding, false),
+        onMove: (deltaX, deltaY) => applyMotion(clientSession, deltaX, deltaY)
+      });
+      sessions.set(sessionId, clientSession);
+      logger.log(`📱 New session started: ${sessionId}`);
+    }
+
+    // Resume tokens are single-use; every connection gets a fresh one
+    clientSession.resumeToken = generateToken();
+    ws.sessionId = clientSession.id;
+    audit.record('connect', {
+      session: clientSession.id,
+      ip: address,
+      userAgent: clientSession.userAgent,
+      resumed,
+      paired: Boolean(req.pairing && req.pairing.issued)
+    });
+
+    // Hand the freshly issued token to the client so it can reconnect without a code
+    if (req.pairing && req.pairing.issued) {
+      ws.send(JSON.stringify({
+        type: 'paired',
+        token: req.pairing.token,
+        expiresAt: req.pairing.expiresAt
+      }));
+    }
+
+    if (resumeRequested && !resumed) {
+      logger.warn(`🔒 Rejected resume of ${params.get('resume')} from ${req.socket.remoteAddress}`);
+      audit.record('resume_rejected', { session: params.get('resume'), ip: address });
+      sendError(ws, ErrorCodes.RESUME_REJECTED, 'Session could not be resumed - a new session was started');
+    }
+
+    sendHello(clientSession, resumed);
+
+    // The first client in takes control; later ones watch until they ask for it.
+    // A resumed owner still holds control, so nothing is broadcast - tell it directly.
+    const alreadyOwner = control.isController(clientSession.id);
+    if (alreadyOwner || !control.claimIfFree(clientSession.id)) {
+      sendControlState(clientSession);
+    }
+    if (resumed && clientSession.subscriptions.has('cursor')) {
+      scheduleCursorUpdates();
+    }
+    if (resumed && clientSession.subscriptions.has('screen')) {
+      screenStreamer.reset(clientSession);
+      screenStreamer.wake();
+    }
+
+    logger.log(`   Client IP: ${req.socket.remoteAddress}`);
+    logger.log(`   Total sessions: ${sessions.size}`);
+
+    ws.on('message', async (message) => {
+      const session = sessions.get(ws.sessionId);
+      // Ignore sockets whose session ended or was resumed elsewhere
+      if (!session || session.ws !== ws) return;
+
+      // The address-wide limit is checked before parsing, so floods of garbage cost little
+      const ipWait = ipClient.bucket.take();
+      if (ipWait > 0) {
+        throttleMessage(session, null, ipWait);
+        return;
+      }
+      session.throttledTypes.delete('address');
+
+      let data;
+      try {
+        data = parseMessage(message);
+      } catch (error) {
+        if (!(error instanceof ProtocolError)) throw error;
+        logger.warn(`[${session.id}] ⚠️ Rejected message: ${error.message}`);
+        messagesRejected.inc({ code: error.code });
+        sendError(ws, error.code, error.message, error.seq);
+        session.rejectedCount++;
+        recordInvalidMessage(session);
+        return;
+      }
+
+      const wait = session.rateLimiter.take(data.type);
+      if (wait > 0) {
+        throttleMessage(session, data.type, wait, data.seq);
+        return;
+      }
+      session.throttledTypes.delete(data.type);
+
+      session.lastActivity = new Date();
+      session.messageCount++;
+      session.lastCommand = data.type;
+      session.lastCommandAt = session.lastActivity;
+      messagesTotal.inc({ type: data.type });
+      logger.debug(`[${session.id}] Received: ${data.type}`);
+
+      const reject = (code, text) => {
+        messagesRejected.inc({ code });
+        sendError(ws, code, text, data.seq);
+      };
+
+      try {
+        const startedAt = process.hrtime.bigint();
+        await handleMessage(session, data);
+        // Macro playback is timed by its own steps, not as one command
+        if (INPUT_COMMANDS.has(data.type) && data.type !== 'macroPlay') {
+          inputLatency.observe({ type: data.type }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+        }
+        if (data.seq !== undefined) {
+          send(ws, { type: 'ack', seq: data.seq });
+        }
+      } catch (error) {
+        if (error instanceof ProtocolError) {
+          reject(error.code, error.message);
+          return;
+        }
+        if (error instanceof MacroError) {
+          reject(ErrorCodes.INVALID_MACRO, error.message);
+          return;
+        }
+        logger.error('Error processing message:', error);
+        reject(ErrorCodes.COMMAND_FAILED, `Failed to run ${data.type}`);
+      }
+    });
+
+    ws.on('close', (code) => {
+      connectedClients--;
+      audit.record('disconnect', { session: ws.sessionId, ip: address, code });
+      if (--ipClient.connections === 0 && ipClient.bucket.isFull()) {
+        ipClients.delete(address);
+      }
+      const session = sessions.get(ws.sessionId);
+      if (session && session.ws === ws) {
+        detachSession(session);
+      }
+    });
+
+    ws.on('error', (error) => {
+      // A close event always follows, which takes care of the session
+      logger.error(`WebSocket error [${ws.sessionId}]:`, error);
+    });
+  });
+
+  let cleanupTimer = null;
+
+  // Resolves with the bound port (pass port 0 for an ephemeral one)
+  function start(portOverride = port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(portOverride, host, () => {
+        server.off('error', reject);
+        listenPort = server.address().port;
+        cleanupTimer = setInterval(cleanupInactiveSessions, cleanupInterval);
+        cleanupTimer.unref();
+        resolve(listenPort);
+      });
+    });
+  }
+
+  // Apply reloaded settings to the running server without touching open connections.
+  // Rate limit changes start every session and address on a fresh bucket.
+  function applySettings(settings) {
+    const applied = [];
+    if (settings.frontendOrigins) {
+      allowedOrigins = settings.frontendOrigins.map(compileOrigin);
+      applied.push('frontendOrigins');
+    }
+    if (settings.allowedIps !== undefined) {
+      isAllowedIp = settings.allowedIps ? createIpAllowlist(settings.allowedIps) : () => true;
+      // Connections that are already open from addresses no longer allowed are closed
+      for (const session of [...sessions.values()].filter(session => !isAllowedIp(session.ip))) {
+        const { ws } = session;
+        endSession(session, 'address no longer allowed');
+        if (ws && ws.readyState === 1) {
+          ws.close(4001, 'Address not allowed');
+        }
+      }
+      applied.push('allowedIps');
+    }
+    if (settings.rateLimits) {
+      messageLimits = normalizeRateLimits(settings.rateLimits);
+      for (const session of sessions.values()) {
+        session.rateLimiter = createRateLimiter(messageLimits);
+      }
+      applied.push('rateLimits');
+    }
+    if (settings.ipRateLimit) {
+      ipRateLimit = settings.ipRateLimit;
+      for (const ipClient of ipClients.values()) {
+        ipClient.bucket = createTokenBucket(ipRateLimit);
+      }
+      applied.push('ipRateLimit');
+    }
+    if (settings.maxConnectionsPerIp !== undefined) {
+      maxConnectionsPerIp = settings.maxConnectionsPerIp;
+      applied.push('maxConnectionsPerIp');
+    }
+    if (settings.sessionTimeout !== undefined) {
+      sessionTimeout = settings.sessionTimeout;
+      applied.push('sessionTimeout');
+    }
+    if (settings.resumeGrace !== undefined) {
+      resumeGrace = settings.resumeGrace; // sessions already detached keep their window
+      applied.push('resumeGrace');
+    }
+    if (settings.cleanupInterval !== undefined) {
+      cleanupInterval = settings.cleanupInterval;
+      if (cleanupTimer) {
+        clearInterval(cleanupTimer);
+        cleanupTimer = setInterval(cleanupInactiveSessions, cleanupInterval);
+        cleanupTimer.unref();
+      }
+      applied.push('cleanupInterval');
+    }
+    if (applied.length > 0) {
+      audit.record('settings_changed', Object.fromEntries(applied.map(key => [key, settings[key]])));
+      logger.log(`🔄 Settings applied: ${applied.join(', ')}`);
+    }
+    return applied;
+  }
+
+  function stop() {
+    clearInterval(cleanupTimer);
+    pairing.stop();
+    screenStreamer?.stop();
+    for (const session of sessions.values()) {
+      clearTimeout(session.graceTimer);
+      clearTimeout(session.cursorTimer);
+      session.motion.cancel();
+      session.gamepad.release();
+      stopPlayback(session, 'server stopping');
+    }
+    wss.clients.forEach((client) => {
+      client.close();
+    });
+    return new Promise((resolve) => {
+      wss.close();
+      server.close(() => resolve());
+      server.closeAllConnections?.();
+    }).then(() => audit.flush());
+  }
+
+  return {
+    app,
+    server,
+    wss,
+    sessions,
+    pairing,
+    control,
+    networkIP,
+    scheme,
+    start,
+    stop,
+    cleanupInactiveSessions,
+    revokeSession,
+    banIp,
+    setInputPaused,
+    applySettings,
+    get inputPaused() {
+      return inputPaused;
+    },
+    get port() {
+      return listenPort;
+    },
+    get connectedClients() {
+      return connectedClients;
+    }
+  };
+}
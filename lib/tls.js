@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import net from 'net';
+import os from 'os';
+import { join } from 'path';
+import selfsigned from 'selfsigned';
+
+const SELF_SIGNED_DAYS = 825; // the longest validity Apple devices accept for a TLS certificate
+
+// Certificate for every name the phone might use to reach the host
+export function generateSelfSignedCertificate({ hostnames = [], days = SELF_SIGNED_DAYS } = {}) {
+  const names = [...new Set(['localhost', '127.0.0.1', '::1', os.hostname(), ...hostnames].filter(Boolean))];
+  const altNames = names.map(name => net.isIP(name) ? { type: 7, ip: name } : { type: 2, value: name });
+
+  const pems = selfsigned.generate([
+    { name: 'commonName', value: 'Remote Control Backend' },
+    { name: 'organizationName', value: 'Remote Control (self-signed)' }
+  ], {
+    days,
+    keySize: 2048,
+    algorithm: 'sha256',
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      { name: 'subjectAltName', altNames }
+    ]
+  });
+  return { cert: pems.cert, key: pems.private };
+}
+
+const coversName = (x509, name) => Boolean(net.isIP(name) ? x509.checkIP(name) : x509.checkHost(name));
+
+// SHA-256 fingerprint and validity of a PEM certificate, as browsers show them
+export function describeCertificate(cert) {
+  const x509 = new crypto.X509Certificate(cert);
+  return {
+    fingerprint: x509.fingerprint256,
+    subject: x509.subject,
+    validTo: new Date(x509.validTo),
+    selfSigned: x509.issuer === x509.subject
+  };
+}
+
+// TLS credentials for the HTTPS server: the configured cert/key files, or a self-signed
+// certificate kept in `dir` (generated on first run and reused after that, so phones
+// only have to trust it once). The stored one is replaced when it expires or no longer
+// covers `hostnames`, e.g. after the host got a new LAN address.
+// Resolves with { cert, key, fingerprint, generated, ... }.
+export async function loadTlsCredentials({ certFile, keyFile, dir = 'certs', hostnames = [] }) {
+  if (certFile || keyFile) {
+    const [cert, key] = await Promise.all([readFile(certFile, 'utf8'), readFile(keyFile, 'utf8')]);
+    return { cert, key, generated: false, ...describeCertificate(cert) };
+  }
+
+  const certPath = join(dir, 'cert.pem');
+  const keyPath = join(dir, 'key.pem');
+  if (existsSync(certPath) && existsSync(keyPath)) {
+    const [cert, key] = await Promise.all([readFile(certPath, 'utf8'), readFile(keyPath, 'utf8')]);
+    const described = describeCertificate(cert);
+    const x509 = new crypto.X509Certificate(cert);
+    if (described.validTo > new Date() && hostnames.every(name => coversName(x509, name))) {
+      return { cert, key, generated: false, certFile: certPath, ...described };
+    }
+  }
+
+  const { cert, key } = generateSelfSignedCertificate({ hostnames });
+  await mkdir(dir, { recursive: true });
+  await writeFile(keyPath, key, { mode: 0o600 });
+  await writeFile(certPath, cert);
+  return { cert, key, generated: true, certFile: certPath, ...describeCertificate(cert) };
+}
@@ -0,0 +1,110 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createIpAllowlist } from '../lib/network.js';
+import { loadConfig } from '../lib/config.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+describe('IP allowlists', () => {
+  test('match addresses, CIDR ranges and the lan shorthand', () => {
+    const allowed = createIpAllowlist(['lan', '203.0.113.0/24', '2001:db8::1']);
+    assert.ok(allowed('192.168.1.20'));
+    assert.ok(allowed('::ffff:10.1.2.3'));
+    assert.ok(allowed('::1'));
+    assert.ok(allowed('203.0.113.99'));
+    assert.ok(allowed('2001:db8::1'));
+    assert.ok(!allowed('198.51.100.1'));
+    assert.ok(!allowed('2001:db8::2'));
+  });
+
+  test('reject malformed entries', () => {
+    assert.throws(() => createIpAllowlist(['192.168.1.0/33']), /not an IP address or CIDR range/);
+    assert.throws(() => createIpAllowlist(['my-laptop']), /not an IP address or CIDR range/);
+    assert.throws(() => loadConfig({ env: { ALLOWED_IPS: '10.0.0.0/8,nope' } }), /ALLOWED_IPS: "nope" is not an IP address/);
+    assert.deepEqual(loadConfig({ env: { ALLOWED_IPS: 'lan, 10.0.0.5' } }).allowedIps, ['lan', '10.0.0.5']);
+    assert.deepEqual(loadConfig({ env: { ALLOWED_HOSTS: 'pc.home.lan, fd00::5' } }).allowedHosts, ['pc.home.lan', 'fd00::5']);
+    assert.throws(() => loadConfig({ env: { ALLOWED_HOSTS: 'pc.home.lan:8080' } }), /ALLOWED_HOSTS: must be a list of host names/);
+  });
+});
+
+// GET `path` with a chosen Host header (fetch always sends the URL's)
+const getWithHost = (ctx, path, host) => new Promise((resolve, reject) => {
+  http.get({ host: '127.0.0.1', port: ctx.port, path, headers: { Host: host } }, (res) => {
+    res.resume();
+    res.on('end', () => resolve(res.statusCode));
+  }).on('error', reject);
+});
+
+describe('WebSocket upgrade policy', () => {
+  const servers = [];
+  const start = async (options) => {
+    const ctx = await startTestServer(options);
+    servers.push(ctx);
+    return ctx;
+  };
+
+  after(async () => {
+    await Promise.all(servers.map(ctx => ctx.remote.stop()));
+  });
+
+  test('only allows configured and same-origin pages', async () => {
+    const ctx = await start({ frontendOrigins: ['https://remote.example.com', 'https://team-*.example.org'] });
+    const withOrigin = (origin) => connectClient(ctx.wsUrl, { headers: { Origin: origin } });
+
+    await assert.rejects(withOrigin('https://evil.example.net'), { statusCode: 403 });
+    await assert.rejects(withOrigin('https://evil.vercel.app'), { statusCode: 403 });
+    await assert.rejects(withOrigin('not a url'), { statusCode: 403 });
+
+    const clients = [
+      await withOrigin('https://remote.example.com'),
+      await withOrigin('https://team-blue.example.org'),
+      await withOrigin(ctx.baseUrl),
+      await connectClient(ctx.wsUrl)
+    ];
+    await Promise.all(clients.map(closeClient));
+  });
+
+  test('refuses addresses outside the allowlist', async () => {
+    const ctx = await start({ allowedIps: ['192.168.0.0/16'] });
+    await assert.rejects(connectClient(ctx.wsUrl), { statusCode: 403 });
+
+    const metrics = await (await fetch(`${ctx.baseUrl}/metrics`)).text();
+    assert.match(metrics, /remote_control_auth_failures_total\{reason="ip_not_allowed"\} 1/);
+
+    const local = await start({ allowedIps: ['lan'] });
+    await closeClient(await connectClient(local.wsUrl));
+  });
+
+  test('closes open connections when the allowlist shrinks', async () => {
+    const ctx = await start({ allowedIps: ['127.0.0.1'] });
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    ctx.remote.applySettings({ allowedIps: ['10.0.0.0/8'] });
+    assert.equal(await closed, 4001);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+
+    ctx.remote.applySettings({ allowedIps: null });
+    await closeClient(await connectClient(ctx.wsUrl));
+  });
+
+  test('refuses requests naming a host the server does not answer to', async () => {
+    const ctx = await start({ allowedHosts: ['pc.home.lan'] });
+
+    // A DNS-rebinding page: its own name, resolved to 127.0.0.1
+    assert.equal(await getWithHost(ctx, '/api/pairing', `rebind.example.net:${ctx.port}`), 403);
+    await assert.rejects(connectClient(ctx.wsUrl, {
+      headers: { Host: `rebind.example.net:${ctx.port}`, Origin: `http://rebind.example.net:${ctx.port}` }
+    }), { statusCode: 403 });
+    assert.equal(await getWithHost(ctx, '/api/pairing', `127.0.0.1:${ctx.port + 1}`), 403);
+
+    assert.equal(await getWithHost(ctx, '/api/pairing', `localhost:${ctx.port}`), 200);
+    assert.equal(await getWithHost(ctx, '/api/pairing', `[::1]:${ctx.port}`), 200);
+    assert.equal(await getWithHost(ctx, '/api/pairing', 'PC.home.lan'), 200);
+    await closeClient(await connectClient(ctx.wsUrl, { headers: { Host: `localhost:${ctx.port}` } }));
+
+    const metrics = await (await fetch(`${ctx.baseUrl}/metrics`)).text();
+    assert.match(metrics, /remote_control_auth_failures_total\{reason="host_not_allowed"\} 1/);
+  });
+});
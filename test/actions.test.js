@@ -0,0 +1,145 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createQuickActions, readActionsFile } from '../lib/actions.js';
+import { createAuditLog } from '../lib/audit.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+describe('quick action definitions', () => {
+  test('resolve built-ins, overrides and the platform lock screen', () => {
+    const definitions = [{ builtin: 'volumeUp', label: 'Louder' }, { builtin: 'lockScreen' }];
+    const mac = createQuickActions(definitions, { platform: 'darwin' });
+    assert.deepEqual(mac.get('volumeUp'), { id: 'volumeUp', label: 'Louder', icon: '🔊', group: 'Media', key: 'audio_vol_up', modifiers: [] });
+    assert.deepEqual(mac.get('lockScreen').modifiers, ['command', 'control']);
+    assert.deepEqual(createQuickActions(definitions, { platform: 'linux' }).get('lockScreen').command, ['loginctl', 'lock-session']);
+    assert.equal(createQuickActions(definitions, { platform: 'aix' }).get('lockScreen'), null);
+  });
+
+  test('reject anything that is not a fixed key combo or command', () => {
+    const problems = [
+      [[{ builtin: 'shutdown' }], /unknown builtin "shutdown"/],
+      [[{ id: 'x', key: 'a', command: ['ls'] }], /exactly one of key or command/],
+      [[{ id: 'x', key: 'notakey' }], /unknown key notakey/],
+      [[{ id: 'x', command: 'rm -rf ~' }], /command must be a list/],
+      [[{ id: 'bad id', key: 'a' }], /id may only contain/],
+      [[{ builtin: 'mute' }, { id: 'mute', key: 'm' }], /duplicate id mute/]
+    ];
+    for (const [definitions, message] of problems) {
+      assert.throws(() => createQuickActions(definitions), message);
+    }
+  });
+
+  test('load from a YAML file', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'actions-'));
+    try {
+      const file = join(dir, 'actions.yaml');
+      await writeFile(file, 'actions:\n  - builtin: mute\n  - id: zoom\n    key: a\n    modifiers: [mod, shift]\n');
+      assert.deepEqual(createQuickActions(readActionsFile(file)).list().map(action => action.id), ['mute', 'zoom']);
+
+      await writeFile(file, 'action:\n  - builtin: mute\n');
+      assert.throws(() => readActionsFile(file), /unknown setting action/);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('runAction', () => {
+  let dir;
+  let auditLog;
+  let ctx;
+  let client;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'actions-'));
+    auditLog = createAuditLog({ file: join(dir, 'audit.log') });
+    ctx = await startTestServer({
+      auditLog,
+      macroDir: join(dir, 'macros'),
+      actions: [
+        { builtin: 'playPause' },
+        { id: 'zoomMute', label: 'Mute Zoom', key: 'a', modifiers: ['control', 'shift'] },
+        { id: 'noop', label: 'No-op', command: [process.execPath, '-e', ''] },
+        { id: 'broken', label: 'Broken', command: ['/nonexistent/launcher'] }
+      ]
+    });
+    client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+  });
+
+  after(async () => {
+    await closeClient(client);
+    await ctx.remote.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('lists actions without the commands behind them', async () => {
+    const { actions } = await (await fetch(`${ctx.baseUrl}/api/actions`)).json();
+    assert.deepEqual(actions[0], { id: 'playPause', label: 'Play / Pause', icon: '⏯️', group: 'Media' });
+    assert.deepEqual(actions.map(action => action.id), ['playPause', 'zoomMute', 'noop', 'broken']);
+    assert.ok(actions.every(action => !('command' in action) && !('key' in action)));
+  });
+
+  test('taps keys and launches commands', async () => {
+    client.sendJSON({ type: 'runAction', id: 'playPause', seq: 1 });
+    await client.nextMessage('ack');
+    client.sendJSON({ type: 'runAction', id: 'zoomMute', seq: 2 });
+    await client.nextMessage('ack');
+    assert.deepEqual(ctx.driver.callsTo('keyTap').map(call => call.args), [
+      ['audio_play', []],
+      ['a', ['control', 'shift']]
+    ]);
+
+    client.sendJSON({ type: 'runAction', id: 'noop', seq: 3 });
+    assert.equal((await client.nextMessage('ack')).seq, 3);
+  });
+
+  test('reports unknown and failing actions', async () => {
+    client.sendJSON({ type: 'runAction', id: 'format-disk', seq: 4 });
+    assert.equal((await client.nextMessage('error')).code, 'ACTION_NOT_FOUND');
+
+    client.sendJSON({ type: 'runAction', id: 'broken', seq: 5 });
+    const failed = await client.nextMessage('error');
+    assert.equal(failed.code, 'COMMAND_FAILED');
+    assert.equal(failed.message, 'Broken failed to run');
+  });
+
+  test('are audited and recorded into macros', async () => {
+    client.sendJSON({ type: 'macroRecord', name: 'mute' });
+    assert.equal((await client.nextMessage('macro')).event, 'recording');
+    client.sendJSON({ type: 'runAction', id: 'zoomMute', seq: 6 });
+    await client.nextMessage('ack');
+    client.sendJSON({ type: 'macroStop' });
+    assert.equal((await client.nextMessage('macro')).steps, 1);
+
+    const macro = await (await fetch(`${ctx.baseUrl}/api/macros/mute`)).json();
+    assert.deepEqual(macro.steps.map(step => step.message), [{ type: 'runAction', id: 'zoomMute' }]);
+
+    await auditLog.flush();
+    const lines = (await readFile(auditLog.file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.ok(lines.some(entry => entry.event === 'input' && entry.type === 'runAction' && entry.id === 'zoomMute'));
+  });
+
+  test('stop macro playback when they fail', async () => {
+    const put = await fetch(`${ctx.baseUrl}/api/macros/broken`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ steps: [{ delay: 0, message: { type: 'runAction', id: 'broken' } }, { delay: 0, message: { type: 'runAction', id: 'playPause' } }] })
+    });
+    assert.equal(put.status, 200);
+
+    ctx.driver.reset();
+    client.sendJSON({ type: 'macroPlay', name: 'broken', seq: 7 });
+    assert.equal((await client.nextMessage('ack')).seq, 7);
+    await waitFor(() => client.messages.some(message => message.type === 'macro' && message.event === 'failed'));
+    const failed = client.messages.find(message => message.type === 'macro' && message.event === 'failed');
+    assert.equal(failed.reason, 'Broken failed to run');
+    assert.deepEqual(ctx.driver.callsTo('keyTap'), []);
+
+    // Still serving
+    client.sendJSON({ type: 'runAction', id: 'playPause', seq: 8 });
+    assert.equal((await client.nextMessage('ack')).seq, 8);
+  });
+});
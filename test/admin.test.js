@@ -0,0 +1,183 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+const TOKEN = 'test-admin-token';
+
+describe('admin API', () => {
+  let ctx;
+
+  const admin = (method, path, body, token = TOKEN) => fetch(`${ctx.baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  before(async () => {
+    ctx = await startTestServer({ adminToken: TOKEN });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  test('requires the admin token', async () => {
+    assert.equal((await admin('GET', '/api/admin/sessions', null, null)).status, 401);
+    assert.equal((await admin('GET', '/api/admin/sessions', null, 'wrong')).status, 401);
+    assert.equal((await admin('GET', '/api/admin/sessions')).status, 200);
+  });
+
+  test('is limited to the host without a token', async () => {
+    const open = await startTestServer();
+    const res = await fetch(`${open.baseUrl}/api/admin/settings`);
+    assert.equal(res.status, 200);
+    await open.remote.stop();
+  });
+
+  test('only takes changes sent as JSON, which other sites cannot send without a preflight', async () => {
+    const open = await startTestServer();
+    const client = await connectClient(open.wsUrl);
+    const hello = await client.nextMessage('hello');
+    const path = `${open.baseUrl}/api/admin/sessions/${hello.sessionId}`;
+
+    assert.equal((await fetch(`${path}/disconnect`, { method: 'POST' })).status, 415);
+    assert.equal((await fetch(`${path}/ban`, { method: 'POST', headers: { 'Content-Type': 'text/plain' }, body: '{"ip":true}' })).status, 415);
+    assert.equal((await fetch(`${open.baseUrl}/api/control`, { method: 'POST', body: new URLSearchParams({ sessionId: '' }) })).status, 415);
+    assert.equal(open.remote.sessions.size, 1);
+
+    const res = await fetch(`${path}/disconnect`, { method: 'POST', headers: { 'Content-Type': 'application/json; charset=utf-8' } });
+    assert.equal(res.status, 200);
+    await closeClient(client);
+    await open.remote.stop();
+  });
+
+  test('lists sessions with live stats', async () => {
+    const client = await connectClient(ctx.wsUrl, { headers: { 'User-Agent': 'TestPhone/1.0' } });
+    await client.nextMessage('hello');
+    client.sendJSON({ type: 'click' });
+    client.sendJSON({ type: 'nope' });
+    await client.nextMessage('error');
+    client.sendJSON({ type: 'keyTap', key: 'a', seq: 1 });
+    await client.nextMessage('ack');
+
+    const body = await (await admin('GET', '/api/admin/sessions')).json();
+    const [session] = body.sessions;
+    assert.equal(body.inputPaused, false);
+    assert.equal(session.ip, '127.0.0.1');
+    assert.equal(session.messageCount, 2);
+    assert.equal(session.rejectedCount, 1);
+    assert.equal(session.lastCommand, 'keyTap');
+    assert.ok(session.lastCommandAt);
+    assert.equal(session.role, 'controller');
+    assert.equal(session.userAgent, 'TestPhone/1.0');
+
+    await closeClient(client);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('disconnects a session without revoking it', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    const hello = await client.nextMessage('hello');
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    const res = await admin('POST', `/api/admin/sessions/${hello.sessionId}/disconnect`);
+    assert.equal(res.status, 200);
+    assert.equal(await closed, 4003);
+    assert.equal(ctx.remote.sessions.size, 0);
+
+    assert.equal((await admin('POST', '/api/admin/sessions/session_0_0/disconnect')).status, 404);
+  });
+
+  test('hands over control and revokes sessions with the token', async () => {
+    const a = await connectClient(ctx.wsUrl);
+    await a.nextMessage('hello');
+    const b = await connectClient(ctx.wsUrl);
+    const hello = await b.nextMessage('hello');
+
+    assert.equal((await admin('POST', '/api/control', { sessionId: hello.sessionId }, null)).status, 401);
+    const res = await admin('POST', '/api/control', { sessionId: hello.sessionId });
+    assert.equal((await res.json()).owner, hello.sessionId);
+
+    const closed = new Promise(resolve => b.once('close', resolve));
+    assert.equal((await admin('DELETE', `/api/sessions/${hello.sessionId}`, null, null)).status, 401);
+    assert.equal((await admin('DELETE', `/api/sessions/${hello.sessionId}`)).status, 200);
+    assert.equal(await closed, 4001);
+
+    await closeClient(a);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('pauses all remote input', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+    client.sendJSON({ type: 'keyDown', key: 'shift', seq: 1 });
+    await client.nextMessage('ack');
+
+    const res = await admin('PUT', '/api/admin/settings', { inputPaused: true });
+    assert.deepEqual(await res.json(), { inputPaused: true, sessionTimeout: 1800 });
+    assert.deepEqual(await client.nextMessage('paused'), { type: 'paused', paused: true });
+    // Held keys are let go when input is paused
+    assert.deepEqual(ctx.driver.callsTo('keyToggle').at(-1).args.slice(0, 2), ['shift', 'up']);
+
+    client.sendJSON({ type: 'click', seq: 2 });
+    const error = await client.nextMessage('error');
+    assert.equal(error.code, 'INPUT_PAUSED');
+    assert.equal(error.seq, 2);
+    // Session management still works while paused
+    client.sendJSON({ type: 'releaseControl', seq: 3 });
+    await client.nextMessage('ack');
+
+    await admin('PUT', '/api/admin/settings', { inputPaused: false });
+    assert.deepEqual(await client.nextMessage('paused'), { type: 'paused', paused: false });
+    client.sendJSON({ type: 'click', seq: 4 });
+    await client.nextMessage('ack');
+
+    await closeClient(client);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('changes the session timeout at runtime', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    assert.equal((await admin('PUT', '/api/admin/settings', { sessionTimeout: 5 })).status, 400);
+    const res = await admin('PUT', '/api/admin/settings', { sessionTimeout: 60 });
+    assert.equal((await res.json()).sessionTimeout, 60);
+
+    assert.equal(ctx.remote.cleanupInactiveSessions(Date.now() + 30 * 1000), 0);
+    assert.equal(ctx.remote.cleanupInactiveSessions(Date.now() + 61 * 1000), 1);
+
+    await admin('PUT', '/api/admin/settings', { sessionTimeout: 1800 });
+    await closeClient(client);
+  });
+
+  test('bans and unbans an address', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    const hello = await client.nextMessage('hello');
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    const res = await admin('POST', `/api/admin/sessions/${hello.sessionId}/ban`, { ip: true });
+    assert.deepEqual(await res.json(), { banned: hello.sessionId, ip: '127.0.0.1' });
+    assert.equal(await closed, 4001);
+
+    await assert.rejects(connectClient(ctx.wsUrl), { statusCode: 403 });
+    assert.deepEqual(await (await admin('GET', '/api/admin/bans')).json(), { ips: ['127.0.0.1'] });
+
+    assert.equal((await admin('DELETE', '/api/admin/bans/127.0.0.1')).status, 200);
+    assert.equal((await admin('DELETE', '/api/admin/bans/127.0.0.1')).status, 404);
+    const again = await connectClient(ctx.wsUrl);
+    await closeClient(again);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('validates banned addresses', async () => {
+    assert.equal((await admin('POST', '/api/admin/bans', { ip: 'not-an-ip' })).status, 400);
+
+    const res = await admin('POST', '/api/admin/bans', { ip: '::ffff:10.0.0.7' });
+    assert.deepEqual(await res.json(), { banned: '10.0.0.7', disconnected: 0 });
+    await admin('DELETE', '/api/admin/bans/10.0.0.7');
+  });
+});
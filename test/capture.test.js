@@ -0,0 +1,221 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import zlib from 'zlib';
+import jpeg from 'jpeg-js';
+import { createFrameEncoder, createMockCapturer, downscale, encodeFrame, encodePng } from '../lib/capture/index.js';
+import { createScreenStreamer } from '../lib/screen-stream.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+// Bitwise CRC-32 as PNG uses it (zlib.crc32 needs Node 20.15+)
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const solid = (width, height, [r, g, b]) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let offset = 0; offset < data.length; offset += 4) {
+    data[offset] = r;
+    data[offset + 1] = g;
+    data[offset + 2] = b;
+    data[offset + 3] = 255;
+  }
+  return { width, height, data };
+};
+
+describe('frame encoding', () => {
+  test('writes a valid PNG', () => {
+    const png = encodePng(solid(3, 2, [10, 20, 30]));
+
+    assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.equal(png.toString('ascii', 12, 16), 'IHDR');
+    assert.equal(png.readUInt32BE(16), 3);
+    assert.equal(png.readUInt32BE(20), 2);
+    // Chunk CRCs cover the type and data
+    assert.equal(crc32(Buffer.from('IEND')), 0xae426082);
+    assert.equal(png.readUInt32BE(29), crc32(png.subarray(12, 29)));
+
+    const idatLength = png.readUInt32BE(33);
+    assert.equal(png.toString('ascii', 37, 41), 'IDAT');
+    const raw = zlib.inflateSync(png.subarray(41, 41 + idatLength));
+    assert.deepEqual([...raw.subarray(0, 4)], [0, 10, 20, 30]);
+    assert.equal(raw.length, 2 * (1 + 3 * 3));
+  });
+
+  test('scales wide frames down by averaging', () => {
+    const image = solid(4, 2, [0, 0, 0]);
+    image.data.fill(200, 0, 4 * 4); // top row lighter
+    const scaled = downscale(image, 2);
+
+    assert.equal(scaled.width, 2);
+    assert.equal(scaled.height, 1);
+    assert.equal(scaled.data[0], 100);
+    assert.equal(downscale(image, 10), image);
+  });
+
+  test('encodes JPEG frames at most maxWidth wide', () => {
+    const frame = encodeFrame(solid(400, 100, [0, 128, 255]), { maxWidth: 200 });
+    assert.equal(frame.mime, 'image/jpeg');
+    assert.deepEqual([frame.width, frame.height], [200, 50]);
+
+    const decoded = jpeg.decode(frame.buffer);
+    assert.deepEqual([decoded.width, decoded.height], [200, 50]);
+    assert.ok(Math.abs(decoded.data[1] - 128) < 8);
+  });
+
+  test('encodes on a worker thread, in order, and survives bad frames', async () => {
+    const encoder = createFrameEncoder();
+    try {
+      const image = solid(400, 100, [0, 128, 255]);
+      const [jpegFrame, pngFrame] = await Promise.all([
+        encoder.encode(image, { maxWidth: 200 }),
+        encoder.encode(image, { format: 'png', maxWidth: 200 })
+      ]);
+      assert.deepEqual(jpegFrame, encodeFrame(image, { maxWidth: 200 }));
+      assert.ok(Buffer.isBuffer(pngFrame.buffer));
+      assert.ok(pngFrame.buffer.equals(encodeFrame(image, { format: 'png', maxWidth: 200 }).buffer));
+
+      await assert.rejects(encoder.encode({ width: 4, height: 4, data: null }, {}));
+      assert.equal((await encoder.encode(image, { maxWidth: 100 })).width, 100);
+    } finally {
+      await encoder.close();
+    }
+  });
+});
+
+describe('screen streaming', () => {
+  let ctx;
+  let capturer;
+
+  before(async () => {
+    capturer = createMockCapturer();
+    ctx = await startTestServer({
+      capturer,
+      displays: '320x200+0+0,160x100+320+0',
+      screenMaxFps: 8
+    });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  test('advertises the screen topic and the session stream settings', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    const hello = await client.nextMessage('hello');
+
+    assert.deepEqual(hello.topics, ['cursor', 'screen']);
+    assert.deepEqual(hello.screenStream, { fps: 2, kbps: 800, format: 'jpeg' });
+
+    await closeClient(client);
+  });
+
+  test('sends a header and the image for the selected display', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    client.sendJSON({ type: 'subscribe', topic: 'screen' });
+    const header = await client.nextMessage('frame');
+    const image = await client.nextMessage('binary');
+
+    assert.deepEqual(
+      { format: header.format, mime: header.mime, width: header.width, height: header.height, display: header.display },
+      { format: 'jpeg', mime: 'image/jpeg', width: 320, height: 200, display: 0 }
+    );
+    assert.ok(Buffer.isBuffer(image));
+    assert.equal(image.length, header.bytes);
+    assert.deepEqual([...image.subarray(0, 2)], [0xff, 0xd8]);
+
+    client.sendJSON({ type: 'selectDisplay', index: 1 });
+    const next = await client.nextMessage('frame');
+    assert.equal(next.display, 1);
+    assert.equal(next.width, 160);
+    const { x, y, width, height } = capturer.regions.at(-1);
+    assert.deepEqual({ x, y, width, height }, { x: 320, y: 0, width: 160, height: 100 });
+
+    await closeClient(client);
+  });
+
+  test('skips unchanged frames', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    client.sendJSON({ type: 'screenSettings', fps: 8 });
+    await client.nextMessage('screenSettings');
+    client.sendJSON({ type: 'subscribe', topic: 'screen' });
+    await client.nextMessage('frame');
+    await client.nextMessage('binary');
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal(client.messages.filter(message => message.type === 'frame').length, 0);
+
+    capturer.advance();
+    await client.nextMessage('frame');
+
+    await closeClient(client);
+  });
+
+  test('caps settings at the host limits', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    client.sendJSON({ type: 'screenSettings', fps: 10, kbps: 100000, format: 'png' });
+    const settings = await client.nextMessage('screenSettings');
+    assert.deepEqual(settings, { type: 'screenSettings', fps: 8, kbps: 4000, format: 'png' });
+
+    client.sendJSON({ type: 'subscribe', topic: 'screen' });
+    const header = await client.nextMessage('frame');
+    const image = await client.nextMessage('binary');
+    assert.equal(header.mime, 'image/png');
+    assert.equal(image.toString('ascii', 1, 4), 'PNG');
+
+    await closeClient(client);
+  });
+
+  test('rejects screen subscriptions when the host cannot capture', async () => {
+    const plain = await startTestServer();
+    const client = await connectClient(plain.wsUrl);
+    await client.nextMessage('hello');
+
+    client.sendJSON({ type: 'subscribe', topic: 'screen' });
+    const error = await client.nextMessage('error');
+    assert.equal(error.code, 'CAPTURE_UNAVAILABLE');
+
+    await closeClient(client);
+    await plain.remote.stop();
+  });
+
+  test('holds frames back once a session has used its bandwidth', async () => {
+    // Random noise barely compresses, so one frame is far over a 16 kbps budget
+    const noisy = {
+      capture: ({ width, height }) => ({ width, height, data: crypto.randomBytes(width * height * 4) })
+    };
+    const sent = [];
+    const session = {
+      id: 'session_test',
+      display: 0,
+      subscriptions: new Set(['screen']),
+      ws: { readyState: 1, bufferedAmount: 0, send: (message) => sent.push(message) }
+    };
+    const streamer = createScreenStreamer({
+      capturer: noisy,
+      sessions: new Map([[session.id, session]]),
+      getRegion: () => ({ x: 0, y: 0, width: 200, height: 100 }),
+      defaults: { fps: 10, kbps: 16, format: 'png' }
+    });
+
+    streamer.wake();
+    await waitFor(() => sent.length === 2);
+    await new Promise(resolve => setTimeout(resolve, 400));
+    streamer.stop();
+
+    assert.equal(sent.length, 2);
+  });
+});
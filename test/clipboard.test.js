@@ -0,0 +1,144 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { delimiter, join } from 'path';
+import { createMockClipboard } from '../lib/clipboard/mock.js';
+import { createSystemClipboard } from '../lib/clipboard/system.js';
+import { loadClipboardProvider } from '../lib/clipboard/index.js';
+import { parseMessage } from '../lib/protocol.js';
+import { startTestServer, connectClient, closeClient } from './helpers.js';
+
+const silent = { info() {}, warn() {} };
+
+describe('clipboard providers', () => {
+  test('are off unless configured', async () => {
+    assert.equal(await loadClipboardProvider('off', {}, silent), null);
+    assert.equal(await loadClipboardProvider('./missing-provider.js', {}, silent), null);
+    assert.equal((await loadClipboardProvider('mock', {}, silent)).name, 'mock');
+  });
+
+  test('system writes finish when the tool exits, even if it leaves a process behind', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'clipboard-'));
+    const saved = join(dir, 'clipboard.txt');
+    // Like xclip: store stdin, then fork a process that holds the clipboard (and stdout) for a while
+    await writeFile(join(dir, 'xclip'), `#!${process.execPath}
+const fs = require('fs');
+const { spawn } = require('child_process');
+if (process.argv.includes('-o')) {
+  process.stdout.write(fs.readFileSync(${JSON.stringify(saved)}, 'utf8'));
+} else {
+  fs.writeFileSync(${JSON.stringify(saved)}, fs.readFileSync(0, 'utf8'));
+  spawn(process.execPath, ['-e', 'setTimeout(() => {}, 4000)'], { detached: true, stdio: 'inherit' }).unref();
+}
+`);
+    await chmod(join(dir, 'xclip'), 0o755);
+
+    const { PATH, WAYLAND_DISPLAY } = process.env;
+    process.env.PATH = `${dir}${delimiter}${PATH}`;
+    delete process.env.WAYLAND_DISPLAY;
+    try {
+      const clipboard = createSystemClipboard({ platform: 'linux' });
+      assert.equal(clipboard.name, 'system (xclip)');
+
+      const startedAt = Date.now();
+      await clipboard.write('héllo');
+      assert.ok(Date.now() - startedAt < 2000, `write took ${Date.now() - startedAt}ms`);
+      assert.equal(await readFile(saved, 'utf8'), 'héllo');
+      assert.equal(await clipboard.read(), 'héllo');
+    } finally {
+      process.env.PATH = PATH;
+      if (WAYLAND_DISPLAY !== undefined) process.env.WAYLAND_DISPLAY = WAYLAND_DISPLAY;
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('clipboardSet may exceed the usual message size', () => {
+    const text = 'x'.repeat(10000);
+    assert.equal(parseMessage(JSON.stringify({ type: 'clipboardSet', text })).text, text);
+    assert.throws(
+      () => parseMessage(JSON.stringify({ type: 'clipboardSet', text: 'x'.repeat(70000) })),
+      { code: 'MESSAGE_TOO_LARGE' }
+    );
+  });
+});
+
+describe('clipboard sync', () => {
+  const servers = [];
+  const start = async (options) => {
+    const ctx = await startTestServer(options);
+    servers.push(ctx);
+    return ctx;
+  };
+
+  after(async () => {
+    await Promise.all(servers.map(ctx => ctx.remote.stop()));
+  });
+
+  test('moves text both ways and records each transfer', async () => {
+    const clipboard = createMockClipboard({ text: 'from the host' });
+    const ctx = await start({ clipboard, clipboardMaxBytes: 20000 });
+    const client = await connectClient(ctx.wsUrl);
+    const hello = await client.nextMessage('hello');
+    assert.deepEqual(hello.clipboard, { maxBytes: 20000 });
+
+    const long = 'línea\n'.repeat(1500);
+    client.sendJSON({ type: 'clipboardSet', text: long, seq: 1 });
+    assert.equal((await client.nextMessage('ack')).seq, 1);
+    assert.deepEqual(clipboard.writes, [long]);
+
+    clipboard.set('copied on the host');
+    client.sendJSON({ type: 'clipboardGet', seq: 2 });
+    const reply = await client.nextMessage('clipboard');
+    assert.equal(reply.text, 'copied on the host');
+    assert.equal(reply.seq, 2);
+
+    const { sessions } = await (await fetch(`${ctx.baseUrl}/api/admin/sessions`)).json();
+    assert.deepEqual(
+      sessions[0].clipboard.map(({ direction, characters }) => ({ direction, characters })),
+      [{ direction: 'toHost', characters: 9000 }, { direction: 'fromHost', characters: 18 }]
+    );
+
+    await closeClient(client);
+  });
+
+  test('enforces the size limit in both directions', async () => {
+    const clipboard = createMockClipboard({ text: 'x'.repeat(50) });
+    const ctx = await start({ clipboard, clipboardMaxBytes: 10 });
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    client.sendJSON({ type: 'clipboardSet', text: 'ééééé é', seq: 1 });
+    const tooLarge = await client.nextMessage('error');
+    assert.equal(tooLarge.code, 'CLIPBOARD_TOO_LARGE');
+    assert.match(tooLarge.message, /13 bytes; the limit is 10/);
+    assert.equal(clipboard.writes.length, 0);
+
+    client.sendJSON({ type: 'clipboardGet', seq: 2 });
+    assert.equal((await client.nextMessage('error')).code, 'CLIPBOARD_TOO_LARGE');
+
+    await closeClient(client);
+  });
+
+  test('is refused when disabled or for viewers', async () => {
+    const disabled = await start();
+    const client = await connectClient(disabled.wsUrl);
+    assert.equal((await client.nextMessage('hello')).clipboard, null);
+    client.sendJSON({ type: 'clipboardGet' });
+    assert.equal((await client.nextMessage('error')).code, 'CLIPBOARD_UNAVAILABLE');
+    await closeClient(client);
+
+    const ctx = await start({ clipboard: createMockClipboard() });
+    const controller = await connectClient(ctx.wsUrl);
+    const viewer = await connectClient(ctx.wsUrl);
+    await controller.nextMessage('hello');
+    await viewer.nextMessage('hello');
+    controller.sendJSON({ type: 'clipboardSet', text: 'mine', seq: 1 });
+    await controller.nextMessage('ack');
+    viewer.sendJSON({ type: 'clipboardGet' });
+    assert.equal((await viewer.nextMessage('error')).code, 'NOT_CONTROLLER');
+
+    await closeClient(controller);
+    await closeClient(viewer);
+  });
+});
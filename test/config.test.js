@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ConfigError, compileOrigin, diffConfig, loadConfig } from '../lib/config.js';
+import { startTestServer, connectClient, closeClient } from './helpers.js';
+
+describe('config loading', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'config-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('uses defaults without a file or env', () => {
+    const config = loadConfig({ env: {} });
+    assert.equal(config.port, 9090);
+    assert.equal(config.requirePairing, true);
+    assert.equal(config.sessionTimeout, 30 * 60 * 1000);
+    assert.equal(config.configFile, null);
+  });
+
+  test('merges a YAML file under env vars', async () => {
+    const file = join(dir, 'config.yaml');
+    await writeFile(file, [
+      'port: 8080',
+      'sessionTimeout: 600',
+      'requirePairing: false',
+      'frontendOrigins:',
+      '  - https://remote.example.com',
+      'rateLimits:',
+      '  click: { rate: 5, burst: 10 }'
+    ].join('\n'));
+
+    const config = loadConfig({
+      env: { CONFIG_FILE: file, PORT: '7070', FRONTEND_ORIGINS: 'https://*.example.org' }
+    });
+    assert.equal(config.port, 7070);
+    assert.equal(config.sessionTimeout, 600 * 1000);
+    assert.equal(config.requirePairing, false);
+    assert.deepEqual(config.frontendOrigins, ['https://remote.example.com', 'https://*.example.org']);
+    assert.deepEqual(config.rateLimits, { click: { rate: 5, burst: 10 } });
+    assert.equal(config.configFile, file);
+  });
+
+  test('reads JSON files and converts IP_MESSAGE_RATE', async () => {
+    const file = join(dir, 'config.json');
+    await writeFile(file, JSON.stringify({ ipRateLimit: { rate: 50, burst: 60 }, maxConnectionsPerIp: 3 }));
+
+    assert.deepEqual(loadConfig({ env: {}, file }).ipRateLimit, { rate: 50, burst: 60 });
+    assert.deepEqual(loadConfig({ env: { IP_MESSAGE_RATE: '40' }, file }).ipRateLimit, { rate: 40, burst: 80 });
+  });
+
+  test('reports every invalid setting at once', async () => {
+    const file = join(dir, 'broken.json');
+    await writeFile(file, JSON.stringify({ sesionTimeout: 60, logLevel: 'loud' }));
+
+    assert.throws(
+      () => loadConfig({ env: { PORT: 'abc', REQUIRE_PAIRING: 'maybe', RATE_LIMITS: '{' }, file }),
+      (error) => {
+        assert.ok(error instanceof ConfigError);
+        assert.equal(error.problems.length, 5);
+        assert.match(error.message, /sesionTimeout: unknown setting/);
+        assert.match(error.message, /logLevel \(in .*\): must be one of debug, info/);
+        assert.match(error.message, /PORT: must be a whole number/);
+        assert.match(error.message, /REQUIRE_PAIRING: must be true or false/);
+        assert.match(error.message, /RATE_LIMITS: must be valid JSON/);
+        return true;
+      }
+    );
+    assert.throws(() => loadConfig({ env: {}, file: join(dir, 'missing.yaml') }), ConfigError);
+  });
+
+  test('separates reloadable changes from ones that need a restart', () => {
+    const previous = loadConfig({ env: {} });
+    const next = loadConfig({ env: { SESSION_TIMEOUT: '120', PORT: '8000' } });
+    assert.deepEqual(diffConfig(previous, next), {
+      reloadable: { sessionTimeout: 120 * 1000 },
+      restartRequired: ['port']
+    });
+  });
+
+  test('compiles wildcard origins', () => {
+    const pattern = compileOrigin('https://*.vercel.app');
+    assert.ok(pattern.test('https://my-app.vercel.app'));
+    assert.ok(!pattern.test('https://evil.com/x.vercel.app'));
+    assert.equal(compileOrigin('http://localhost:5173'), 'http://localhost:5173');
+  });
+});
+
+describe('applying settings to a running server', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer({ frontendOrigins: ['https://old.example.com'] });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  const allowedOrigin = async (origin) =>
+    (await fetch(`${ctx.baseUrl}/health`, { headers: { Origin: origin } })).headers.get('access-control-allow-origin');
+
+  test('swaps the CORS origins', async () => {
+    assert.equal(await allowedOrigin('https://old.example.com'), 'https://old.example.com');
+
+    ctx.remote.applySettings({ frontendOrigins: ['https://*.example.org'] });
+    assert.equal(await allowedOrigin('https://old.example.com'), null);
+    assert.equal(await allowedOrigin('https://app.example.org'), 'https://app.example.org');
+  });
+
+  test('changes rate limits without dropping sessions', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    const applied = ctx.remote.applySettings({ rateLimits: { click: { rate: 0.1, burst: 1 } }, sessionTimeout: 60000 });
+    assert.deepEqual(applied, ['rateLimits', 'sessionTimeout']);
+
+    client.sendJSON({ type: 'click', seq: 1 });
+    await client.nextMessage('ack');
+    client.sendJSON({ type: 'click', seq: 2 });
+    assert.equal((await client.nextMessage('error')).code, 'RATE_LIMITED');
+    assert.equal(ctx.remote.sessions.size, 1);
+
+    await closeClient(client);
+  });
+});
@@ -0,0 +1,162 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createControlArbiter } from '../lib/control.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+describe('control arbiter', () => {
+  test('first claim wins and later requests queue in order', () => {
+    const changes = [];
+    const control = createControlArbiter({ onChange: (state) => changes.push(state) });
+
+    assert.equal(control.claimIfFree('a'), true);
+    assert.equal(control.claimIfFree('b'), false);
+    assert.equal(control.request('b'), 'queued');
+    assert.equal(control.request('c'), 'queued');
+    assert.deepEqual(control.getState(), { owner: 'a', queue: ['b', 'c'] });
+    assert.equal(changes.length, 3);
+
+    control.release('a');
+    assert.deepEqual(control.getState(), { owner: 'b', queue: ['c'] });
+    assert.equal(control.getRole('a'), 'viewer');
+    assert.equal(control.getRole('c'), 'queued');
+  });
+
+  test('only the owner can grant, admins can override', () => {
+    const control = createControlArbiter();
+    control.claimIfFree('a');
+    control.request('b');
+
+    assert.equal(control.grant('b', 'c'), false);
+    assert.equal(control.grant('a', 'b'), true);
+    assert.deepEqual(control.getState(), { owner: 'b', queue: [] });
+
+    control.override('c');
+    assert.equal(control.isController('c'), true);
+    control.override(null);
+    assert.deepEqual(control.getState(), { owner: null, queue: [] });
+  });
+
+  test('removing the owner promotes the next in queue', () => {
+    const control = createControlArbiter();
+    control.request('a');
+    control.request('b');
+    control.request('c');
+
+    control.remove('b');
+    control.remove('a');
+    assert.deepEqual(control.getState(), { owner: 'c', queue: [] });
+  });
+});
+
+describe('control over WebSocket', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  async function connect() {
+    const client = await connectClient(ctx.wsUrl);
+    client.id = (await client.nextMessage('hello')).sessionId;
+    return client;
+  }
+
+  test('the first client controls and others are viewers', async () => {
+    const first = await connect();
+    const second = await connect();
+
+    assert.equal((await first.nextMessage('control')).role, 'controller');
+    const state = await second.nextMessage('control');
+    assert.equal(state.role, 'viewer');
+    assert.equal(state.owner, first.id);
+
+    second.sendJSON({ type: 'click', seq: 1 });
+    const error = await second.nextMessage('error');
+    assert.equal(error.code, 'NOT_CONTROLLER');
+    assert.equal(ctx.driver.callsTo('mouseClick').length, 0);
+
+    await closeClient(first);
+    await closeClient(second);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('request, release and grant hand control over', async () => {
+    const a = await connect();
+    const b = await connect();
+    const c = await connect();
+
+    b.sendJSON({ type: 'requestControl', seq: 1 });
+    await b.nextMessage('ack');
+    c.sendJSON({ type: 'requestControl', seq: 1 });
+    await c.nextMessage('ack');
+    assert.deepEqual(ctx.remote.control.getState(), { owner: a.id, queue: [b.id, c.id] });
+
+    a.sendJSON({ type: 'releaseControl', seq: 2 });
+    await a.nextMessage('ack');
+    assert.equal(ctx.remote.control.getState().owner, b.id);
+
+    b.sendJSON({ type: 'grantControl', sessionId: a.id, seq: 2 });
+    await b.nextMessage('ack');
+    assert.deepEqual(ctx.remote.control.getState(), { owner: a.id, queue: [c.id] });
+
+    c.sendJSON({ type: 'grantControl', sessionId: b.id, seq: 2 });
+    assert.equal((await c.nextMessage('error')).code, 'NOT_CONTROLLER');
+
+    // Disconnecting the owner passes control down the queue
+    await closeClient(a);
+    await waitFor(() => ctx.remote.control.getState().owner === c.id);
+
+    await closeClient(b);
+    await closeClient(c);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('the host can override control and sees it in /api/sessions', async () => {
+    const a = await connect();
+    const b = await connect();
+
+    const res = await fetch(`${ctx.baseUrl}/api/control`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: b.id })
+    });
+    assert.equal(res.status, 200);
+
+    const body = await (await fetch(`${ctx.baseUrl}/api/sessions`)).json();
+    assert.deepEqual(body.control, { owner: b.id, queue: [] });
+    const roles = Object.fromEntries(body.sessions.map(session => [session.id, session.role]));
+    assert.deepEqual(roles, { [a.id]: 'viewer', [b.id]: 'controller' });
+
+    const missing = await fetch(`${ctx.baseUrl}/api/control`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId: 'session_nope' })
+    });
+    assert.equal(missing.status, 404);
+
+    await closeClient(a);
+    await closeClient(b);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('losing control releases held keys', async () => {
+    const a = await connect();
+    const b = await connect();
+    ctx.driver.reset();
+
+    a.sendJSON({ type: 'keyDown', key: 'shift', seq: 1 });
+    await a.nextMessage('ack');
+    a.sendJSON({ type: 'grantControl', sessionId: b.id, seq: 2 });
+    await a.nextMessage('ack');
+
+    assert.deepEqual(ctx.driver.callsTo('keyToggle').map(call => call.args.slice(0, 2)), [['shift', 'down'], ['shift', 'up']]);
+
+    await closeClient(a);
+    await closeClient(b);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+});
@@ -0,0 +1,114 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNetworkIP, listNetworkInterfaces } from '../lib/network.js';
+import { SERVICE_TYPE, getMdnsHostname, startDiscovery } from '../lib/discovery.js';
+import { PROTOCOL_VERSION } from '../lib/protocol.js';
+import { startTestServer } from './helpers.js';
+
+const ipv4 = (address, internal = false) => ({ family: 'IPv4', address, internal });
+
+// A laptop on Wi-Fi with Docker and a VPN running
+const INTERFACES = {
+  lo: [ipv4('127.0.0.1', true)],
+  docker0: [ipv4('172.17.0.1')],
+  utun3: [ipv4('10.8.0.2')],
+  en0: [{ family: 'IPv6', address: 'fe80::1', internal: false }, ipv4('192.168.1.20')],
+  en5: [ipv4('169.254.10.3')]
+};
+
+describe('network interfaces', () => {
+  test('rank the LAN above VPN tunnels, bridges and link-local addresses', () => {
+    assert.deepEqual(listNetworkInterfaces(INTERFACES), [
+      { name: 'en0', address: '192.168.1.20', kind: 'lan', preferred: true },
+      { name: 'utun3', address: '10.8.0.2', kind: 'vpn', preferred: false },
+      { name: 'docker0', address: '172.17.0.1', kind: 'virtual', preferred: false },
+      { name: 'en5', address: '169.254.10.3', kind: 'link-local', preferred: false }
+    ]);
+  });
+
+  test('pick the preferred interface by name or address', () => {
+    assert.equal(getNetworkIP({ interfaces: INTERFACES }), '192.168.1.20');
+    assert.equal(getNetworkIP({ prefer: 'utun3', interfaces: INTERFACES }), '10.8.0.2');
+    assert.equal(getNetworkIP({ prefer: '172.17.0.1', interfaces: INTERFACES }), '172.17.0.1');
+    assert.equal(getNetworkIP({ prefer: 'wlan9', interfaces: INTERFACES }), '192.168.1.20');
+    assert.equal(getNetworkIP({ interfaces: { lo: INTERFACES.lo } }), 'localhost');
+  });
+});
+
+describe('mDNS discovery', () => {
+  test('advertises the app service and the web service', async () => {
+    const published = [];
+    let stopped = false;
+    const bonjour = {
+      publish(options) {
+        published.push(options);
+        return { type: options.type, on() {} };
+      },
+      unpublishAll(callback) { callback(); },
+      destroy(callback) {
+        stopped = true;
+        callback();
+      }
+    };
+
+    const discovery = startDiscovery({ name: 'Studio', port: 9090, scheme: 'https', pairingRequired: false, bonjour });
+    assert.equal(getMdnsHostname('studio-mac.local'), 'studio-mac.local');
+    assert.equal(discovery.url, `https://${getMdnsHostname()}:9090/`);
+    assert.deepEqual(published.map(service => service.type), [SERVICE_TYPE, 'https']);
+    assert.deepEqual(published[0], {
+      name: 'Studio',
+      type: SERVICE_TYPE,
+      port: 9090,
+      host: getMdnsHostname(),
+      txt: { path: '/', pairing: 'off', protocol: String(PROTOCOL_VERSION) }
+    });
+
+    await discovery.stop();
+    assert.ok(stopped);
+  });
+});
+
+describe('pairing page', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer({ mdnsHost: 'studio-mac.local' });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  test('offers a pair URL for every address', async () => {
+    const { code, urls } = await (await fetch(`${ctx.baseUrl}/api/pairing`)).json();
+    assert.deepEqual(urls[0], {
+      name: 'configured',
+      address: '127.0.0.1',
+      kind: 'configured',
+      url: `http://127.0.0.1:${ctx.port}/?code=${code}`
+    });
+    assert.deepEqual(urls.at(-1), {
+      name: 'mdns',
+      address: 'studio-mac.local',
+      kind: 'mdns',
+      url: `http://studio-mac.local:${ctx.port}/?code=${code}`
+    });
+
+    const info = await (await fetch(`${ctx.baseUrl}/api/server-info`)).json();
+    assert.equal(info.mdnsHost, 'studio-mac.local');
+    assert.ok(Array.isArray(info.interfaces));
+  });
+
+  test('draws the QR code for known addresses only', async () => {
+    const qr = await fetch(`${ctx.baseUrl}/api/pairing/qr.svg?host=studio-mac.local`);
+    assert.equal(qr.status, 200);
+    assert.match(qr.headers.get('content-type'), /^image\/svg\+xml/);
+    assert.equal(qr.headers.get('cache-control'), 'no-store');
+    assert.match(await qr.text(), /^<svg/);
+
+    assert.equal((await fetch(`${ctx.baseUrl}/api/pairing/qr.svg?host=evil.example`)).status, 400);
+
+    const page = await fetch(`${ctx.baseUrl}/pair`);
+    assert.match(page.headers.get('content-type'), /^text\/html/);
+  });
+});
@@ -0,0 +1,80 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDisplayLayout, createDisplayLayout } from '../lib/displays.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+// A 1440p primary with a 1080p display to its right, offset down by 180px
+const DUAL = '2560x1440+0+0,1920x1080+2560+180';
+
+describe('display layout', () => {
+  test('parses geometry lists and JSON', () => {
+    assert.deepEqual(parseDisplayLayout(DUAL), [
+      { name: 'display-1', x: 0, y: 0, width: 2560, height: 1440 },
+      { name: 'display-2', x: 2560, y: 180, width: 1920, height: 1080 }
+    ]);
+    assert.deepEqual(
+      parseDisplayLayout('[{"name": "left", "x": -1920, "y": 0, "width": 1920, "height": 1080}]'),
+      [{ name: 'left', x: -1920, y: 0, width: 1920, height: 1080 }]
+    );
+    assert.deepEqual(parseDisplayLayout('1920x1080-1920+0')[0].x, -1920);
+  });
+
+  test('rejects malformed layouts', () => {
+    assert.throws(() => parseDisplayLayout('1920by1080'), /Invalid display layout/);
+    assert.throws(() => parseDisplayLayout('[{"x": 0, "y": 0, "width": 0, "height": 10}]'), /positive width/);
+    assert.throws(() => parseDisplayLayout('[]'), /expected 1 to 16/);
+    assert.throws(() => parseDisplayLayout('[oops'), /not valid JSON/);
+  });
+
+  test('clamps points into the nearest display', () => {
+    const layout = createDisplayLayout(parseDisplayLayout(DUAL));
+    assert.deepEqual(layout.clamp(3000, 500), { x: 3000, y: 500 });
+    // Above the shorter right-hand display snaps down onto it
+    assert.deepEqual(layout.clamp(3000, 50), { x: 3000, y: 180 });
+    assert.deepEqual(layout.clamp(-50, 2000), { x: 0, y: 1439 });
+    assert.equal(layout.indexAt(2600, 200), 1);
+    assert.equal(layout.indexAt(2600, 100), -1);
+  });
+
+  test('maps normalized positions onto a display', () => {
+    const layout = createDisplayLayout(parseDisplayLayout(DUAL));
+    assert.deepEqual(layout.toAbsolute(1, 0, 0), { x: 2560, y: 180 });
+    assert.deepEqual(layout.toAbsolute(1, 1, 1), { x: 4479, y: 1259 });
+    assert.deepEqual(layout.center(0), { x: 1280, y: 720 });
+  });
+
+  test('absolute moves and display selection over WebSocket', async () => {
+    const ctx = await startTestServer({ displays: DUAL });
+    try {
+      const client = await connectClient(ctx.wsUrl);
+      const hello = await client.nextMessage('hello');
+      assert.equal(hello.displays.length, 2);
+      assert.equal(hello.display, 0);
+
+      client.sendJSON({ type: 'moveAbsolute', x: 0.5, y: 1 });
+      await waitFor(() => ctx.driver.getMousePos().y === 1439);
+      assert.deepEqual(ctx.driver.getMousePos(), { x: 1280, y: 1439 });
+
+      // Cycling jumps to the middle of the next display and retargets absolute moves
+      client.sendJSON({ type: 'selectDisplay', cycle: 'next' });
+      const display = await client.nextMessage('display');
+      assert.equal(display.index, 1);
+      assert.equal(display.width, 1920);
+      assert.deepEqual(ctx.driver.getMousePos(), { x: 3520, y: 720 });
+
+      client.sendJSON({ type: 'moveAbsolute', x: 0, y: 0 });
+      await waitFor(() => ctx.driver.getMousePos().x === 2560);
+      assert.deepEqual(ctx.driver.getMousePos(), { x: 2560, y: 180 });
+
+      client.sendJSON({ type: 'selectDisplay', index: 5, seq: 1 });
+      const error = await client.nextMessage('error');
+      assert.equal(error.code, 'INVALID_FIELD');
+      client.sendJSON({ type: 'selectDisplay', cycle: 'next' });
+      assert.equal((await client.nextMessage('display')).index, 0);
+
+      await closeClient(client);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
@@ -0,0 +1,92 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmod, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createXdotoolDriver, loadInputDriver } from '../lib/drivers/index.js';
+
+describe('xdotool driver', () => {
+  let dir;
+  let binary;
+  let log;
+
+  // A stand-in xdotool that logs each command. Earlier commands take longer, so
+  // anything not waiting for the one before it would land out of order.
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'xdotool-'));
+    binary = join(dir, 'xdotool');
+    log = join(dir, 'calls.log');
+    const delays = { mousedown: 80, mousemove: 40, key: 20 };
+    await writeFile(binary, `#!${process.execPath}
+const fs = require('fs');
+const [command, ...args] = process.argv.slice(2);
+if (command === 'getdisplaygeometry') {
+  process.stdout.write('1920 1080\\n');
+} else {
+  setTimeout(() => fs.appendFileSync(${JSON.stringify(log)}, [command, ...args].join(' ') + '\\n'), ${JSON.stringify(delays)}[command] || 0);
+}
+`);
+    await chmod(binary, 0o755);
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('runs commands one at a time, in order', async () => {
+    const errors = [];
+    const driver = createXdotoolDriver({ binary, logger: { error: (...args) => errors.push(args.join(' ')) } });
+    assert.deepEqual(driver.getScreenSize(), { width: 1920, height: 1080 });
+
+    driver.mouseToggle('down');
+    driver.moveMouse(10, 20);
+    driver.mouseToggle('up');
+    driver.keyTap('a');
+    await driver.keyTap('b', ['shift']);
+
+    assert.deepEqual((await readFile(log, 'utf8')).trim().split('\n'), [
+      'mousedown 1',
+      'mousemove 10 20',
+      'mouseup 1',
+      'key --clearmodifiers a',
+      'key --clearmodifiers shift+b'
+    ]);
+    assert.deepEqual(errors, []);
+  });
+
+  test('names punctuation and other characters by keysym', async () => {
+    await writeFile(log, '');
+    const driver = createXdotoolDriver({ binary, logger: { error: assert.fail } });
+
+    for (const key of ['.', ',', '/', ' ', 'é', 'Q', '7']) {
+      driver.keyTap(key);
+    }
+    driver.keyTap('+', ['control']);
+    await driver.keyToggle('+', 'down', ['control', 'shift']);
+
+    assert.deepEqual((await readFile(log, 'utf8')).trim().split('\n'), [
+      'key --clearmodifiers period',
+      'key --clearmodifiers comma',
+      'key --clearmodifiers slash',
+      'key --clearmodifiers space',
+      'key --clearmodifiers U00E9',
+      'key --clearmodifiers Q',
+      'key --clearmodifiers 7',
+      'key --clearmodifiers ctrl+plus',
+      'keydown ctrl+shift+plus'
+    ]);
+  });
+
+  test('reports failures through the logger it was loaded with', async () => {
+    const errors = [];
+    const logger = { info() {}, warn() {}, error: (...args) => errors.push(args.join(' ')) };
+    const failing = join(dir, 'failing');
+    await writeFile(failing, `#!${process.execPath}\nif (process.argv[2] !== 'getdisplaygeometry') process.exit(1);\nconsole.log('800 600');\n`);
+    await chmod(failing, 0o755);
+
+    const driver = await loadInputDriver('xdotool', { binary: failing }, logger);
+    await driver.keyTap('a');
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /^xdotool key failed:/);
+  });
+});
@@ -0,0 +1,133 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readdir, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createTypeFilter, sanitizeFileName } from '../lib/files.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+describe('file names and types', () => {
+  test('are sanitized before touching the disk', () => {
+    assert.equal(sanitizeFileName('../../etc/passwd'), 'passwd');
+    assert.equal(sanitizeFileName('C:\\Users\\me\\IMG_0001.HEIC'), 'IMG_0001.HEIC');
+    assert.equal(sanitizeFileName('.bashrc'), 'bashrc');
+    assert.equal(sanitizeFileName('what?<>.pdf'), 'what.pdf');
+    assert.equal(sanitizeFileName(''), 'upload');
+    assert.equal(sanitizeFileName(`${'a'.repeat(300)}.jpg`).length, 120);
+  });
+
+  test('are allowed by MIME pattern or extension', () => {
+    const allowed = createTypeFilter(['image/*', 'application/pdf', '.key']);
+    assert.ok(allowed('photo.JPG'));
+    assert.ok(allowed('slides.key'));
+    assert.ok(allowed('report.pdf'));
+    assert.ok(!allowed('setup.exe'));
+    assert.ok(!allowed('notes.txt'));
+    assert.throws(() => createTypeFilter(['exe']), /not a MIME type/);
+  });
+});
+
+describe('file transfer', () => {
+  let dir;
+  let ctx;
+  let client;
+  let hello;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'files-'));
+    await mkdir(join(dir, 'outbox'));
+    ctx = await startTestServer({
+      inboxDir: join(dir, 'inbox'),
+      outboxDir: join(dir, 'outbox'),
+      uploadMaxBytes: 1024 * 1024,
+      uploadTypes: ['image/*', 'text/plain'],
+      uploadProgressInterval: 0
+    });
+    client = await connectClient(ctx.wsUrl);
+    hello = await client.nextMessage('hello');
+  });
+
+  after(async () => {
+    await closeClient(client);
+    await ctx.remote.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  const upload = (name, body, { token = hello.files.token } = {}) =>
+    fetch(`${ctx.baseUrl}/api/sessions/${hello.sessionId}/uploads?name=${encodeURIComponent(name)}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}` },
+      body,
+      duplex: 'half'
+    });
+
+  test('announces the limits in hello', () => {
+    assert.deepEqual(hello.files.upload, { maxBytes: 1024 * 1024, types: ['image/*', 'text/plain'] });
+    assert.equal(hello.files.outbox, true);
+  });
+
+  test('streams uploads into the inbox and reports progress', async () => {
+    const body = Buffer.alloc(200 * 1024, 7);
+    const res = await upload('holiday.jpg', body);
+    assert.equal(res.status, 201);
+    assert.equal((await res.json()).name, 'holiday.jpg');
+    assert.deepEqual(await readFile(join(dir, 'inbox', 'holiday.jpg')), body);
+
+    assert.equal((await client.nextMessage('upload')).event, 'started');
+    let event;
+    do {
+      event = await client.nextMessage('upload');
+    } while (event.event === 'progress');
+    assert.equal(event.event, 'finished');
+    assert.equal(event.bytes, body.length);
+
+    const again = await upload('holiday.jpg', 'second');
+    assert.equal((await again.json()).name, 'holiday (1).jpg');
+    await waitFor(() => client.messages.some(message => message.event === 'finished'));
+    client.messages.length = 0;
+
+    const { sessions } = await (await fetch(`${ctx.baseUrl}/api/admin/sessions`)).json();
+    assert.deepEqual(sessions[0].uploads.map(({ name, status }) => ({ name, status })), [
+      { name: 'holiday.jpg', status: 'finished' },
+      { name: 'holiday (1).jpg', status: 'finished' }
+    ]);
+  });
+
+  test('refuses bad tokens, types and oversized files without leaving partial files', async () => {
+    assert.equal((await upload('a.jpg', 'x', { token: 'nope' })).status, 401);
+    assert.equal((await upload('setup.exe', 'MZ')).status, 415);
+    assert.equal((await upload('big.jpg', Buffer.alloc(2 * 1024 * 1024))).status, 413);
+
+    // Without a Content-Length the limit is enforced while streaming
+    const chunks = (async function* () {
+      for (let i = 0; i < 40; i++) yield Buffer.alloc(64 * 1024);
+    })();
+    assert.equal((await upload('stream.jpg', chunks)).status, 413);
+
+    await waitFor(() => client.messages.filter(message => message.type === 'upload' && message.event === 'failed').length === 3);
+    assert.deepEqual(
+      (await readdir(join(dir, 'inbox'))).sort(),
+      ['holiday (1).jpg', 'holiday.jpg']
+    );
+  });
+
+  test('lists and serves staged outbox files', async () => {
+    await writeFile(join(dir, 'outbox', 'notes.txt'), 'for the phone');
+    await writeFile(join(dir, 'outbox', '.hidden'), 'secret');
+
+    const list = await fetch(`${ctx.baseUrl}/api/sessions/${hello.sessionId}/outbox`, {
+      headers: { Authorization: `Bearer ${hello.files.token}` }
+    });
+    assert.deepEqual((await list.json()).files.map(file => file.name), ['notes.txt']);
+
+    const base = `${ctx.baseUrl}/api/sessions/${hello.sessionId}/outbox`;
+    const download = await fetch(`${base}/notes.txt?token=${hello.files.token}`);
+    assert.equal(download.status, 200);
+    assert.match(download.headers.get('content-disposition'), /attachment; filename="notes.txt"/);
+    assert.equal(await download.text(), 'for the phone');
+
+    assert.equal((await fetch(`${base}/.hidden?token=${hello.files.token}`)).status, 404);
+    assert.equal((await fetch(`${base}/..%2Fouter.txt?token=${hello.files.token}`)).status, 404);
+    assert.equal((await fetch(`${base}/notes.txt`)).status, 401);
+  });
+});
@@ -0,0 +1,155 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGamepadController, createGamepadProfiles, shapeStick } from '../lib/gamepad.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+const PROFILES = [
+  {
+    id: 'racer',
+    label: 'Racer',
+    stick: 'arrows',
+    buttons: [
+      { id: 'boost', label: 'Boost', key: 'space' },
+      { id: 'pause', key: 'p', modifiers: ['shift'] }
+    ]
+  },
+  {
+    id: 'couch',
+    stick: 'mouse',
+    speed: 1000,
+    deadzone: 0,
+    buttons: [{ id: 'a', label: 'Click', mouse: 'left' }]
+  }
+];
+
+describe('gamepad profiles', () => {
+  test('list stick modes and button labels without the bindings', () => {
+    const profiles = createGamepadProfiles(PROFILES);
+    assert.deepEqual(profiles.list()[0], {
+      id: 'racer',
+      label: 'Racer',
+      stick: 'arrows',
+      buttons: [{ id: 'boost', label: 'Boost' }, { id: 'pause', label: 'pause' }]
+    });
+    assert.equal(profiles.get().id, 'racer');
+    assert.deepEqual(profiles.get('racer').buttons[1], { id: 'pause', label: 'pause', key: 'p', modifiers: ['shift'] });
+    assert.equal(profiles.get('nope'), null);
+  });
+
+  test('reject broken bindings', () => {
+    const problems = [
+      [[{ id: 'x', stick: 'dpad' }], /stick must be one of mouse, arrows, wasd, none/],
+      [[{ id: 'x', buttons: [{ id: 'a', key: 'notakey' }] }], /unknown key notakey/],
+      [[{ id: 'x', buttons: [{ id: 'a', key: 'a', mouse: 'left' }] }], /exactly one of key or mouse/],
+      [[{ id: 'x', buttons: [{ id: 'a', mouse: 'side' }] }], /mouse must be one of/],
+      [[{ id: 'x', buttons: [{ id: 'a', key: 'a' }, { id: 'a', key: 'b' }] }], /duplicate button a/],
+      [[{ id: 'x', deadzone: 1 }], /deadzone must be a number between 0 and 0.9/],
+      [[], /Between 1 and 16/]
+    ];
+    for (const [definitions, message] of problems) {
+      assert.throws(() => createGamepadProfiles(definitions), message);
+    }
+  });
+
+  test('ignore the dead zone and curve the rest of the stick', () => {
+    assert.deepEqual(shapeStick(0.1, -0.05, 0.15), { x: 0, y: 0 });
+    assert.deepEqual(shapeStick(1, 0, 0.15), { x: 1, y: 0 });
+    assert.ok(Math.abs(shapeStick(0, 0.575, 0.15).y - 0.25) < 1e-9);
+  });
+});
+
+describe('gamepad controller', () => {
+  test('presses on change, holds stick directions and lets go when state stops arriving', async () => {
+    const events = [];
+    const pad = createGamepadController({
+      timeout: 50,
+      onPress: (binding) => events.push(`+${binding.key}`),
+      onRelease: (binding) => events.push(`-${binding.key}`)
+    });
+    const racer = createGamepadProfiles(PROFILES).get('racer');
+
+    pad.update(racer, { x: 1, y: -1, buttons: ['boost'] });
+    pad.update(racer, { x: 1, y: -1, buttons: ['boost'] });
+    pad.update(racer, { x: 1, y: 0, buttons: [] });
+    assert.deepEqual(events, ['+space', '+right', '+up', '-space', '-up']);
+
+    await waitFor(() => !pad.isActive());
+    assert.deepEqual(events.slice(5), ['-right']);
+  });
+
+  test('moves the pointer at a speed set by the stick', async () => {
+    const moves = [];
+    const pad = createGamepadController({ frameInterval: 10, onMove: (x, y) => moves.push([x, y]) });
+    const couch = createGamepadProfiles(PROFILES).get('couch');
+
+    pad.update(couch, { x: 1, y: 0 });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    pad.update(couch, { x: 0, y: 0 });
+    const count = moves.length;
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    assert.ok(count >= 3, `expected several frames, got ${count}`);
+    assert.ok(moves.every(([x, y]) => x > 0 && y === 0));
+    assert.equal(moves.length, count); // centred: no more frames
+    pad.release();
+  });
+});
+
+describe('gamepad messages', () => {
+  let ctx;
+  let client;
+
+  before(async () => {
+    ctx = await startTestServer({ gamepadProfiles: PROFILES, resumeGrace: 0 });
+    client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+  });
+
+  after(async () => {
+    await closeClient(client);
+    await ctx.remote.stop();
+  });
+
+  test('serves the profiles and the page', async () => {
+    const { profiles, timeout } = await (await fetch(`${ctx.baseUrl}/api/gamepad`)).json();
+    assert.deepEqual(profiles.map(profile => profile.id), ['racer', 'couch']);
+    assert.equal(timeout, 500);
+    assert.match((await fetch(`${ctx.baseUrl}/gamepad.html`)).headers.get('content-type'), /^text\/html/);
+  });
+
+  test('hold bound keys while pressed', async () => {
+    client.sendJSON({ type: 'gamepad', profile: 'racer', y: -1, buttons: ['pause'], seq: 1 });
+    await client.nextMessage('ack');
+    client.sendJSON({ type: 'gamepad', profile: 'racer', buttons: [], seq: 2 });
+    await client.nextMessage('ack');
+
+    assert.deepEqual(ctx.driver.callsTo('keyToggle').map(call => call.args), [
+      ['p', 'down', ['shift']],
+      ['up', 'down', []],
+      ['p', 'up', ['shift']],
+      ['up', 'up', []]
+    ]);
+  });
+
+  test('reject unknown profiles and buttons', async () => {
+    client.sendJSON({ type: 'gamepad', profile: 'flight', seq: 3 });
+    assert.equal((await client.nextMessage('error')).code, 'PROFILE_NOT_FOUND');
+
+    client.sendJSON({ type: 'gamepad', buttons: ['turbo'], seq: 4 });
+    const error = await client.nextMessage('error');
+    assert.equal(error.code, 'INVALID_FIELD');
+    assert.equal(error.message, 'buttons: Racer has no button turbo');
+  });
+
+  test('let go of held buttons when the socket closes', async () => {
+    const phone = await connectClient(ctx.wsUrl);
+    await phone.nextMessage('hello');
+    await closeClient(client);
+    phone.sendJSON({ type: 'gamepad', profile: 'couch', buttons: ['a'], seq: 1 });
+    await phone.nextMessage('ack');
+    await closeClient(phone);
+
+    await waitFor(() => ctx.driver.callsTo('mouseToggle').length === 2);
+    assert.deepEqual(ctx.driver.callsTo('mouseToggle').map(call => call.args), [['down', 'left'], ['up', 'left']]);
+  });
+});
@@ -0,0 +1,99 @@
+import WebSocket from 'ws';
+import { createMockDriver } from '../lib/drivers/mock.js';
+import { createRemoteControlServer } from '../lib/server.js';
+
+const silentLogger = { debug() {}, info() {}, log() {}, warn() {}, error() {} };
+
+// 1:1 pointer motion so tests can assert exact positions
+export const LINEAR_MOTION = { sensitivity: 1, acceleration: 0, smoothing: 0 };
+
+// Start a server on an ephemeral port with a recording mock driver
+export async function startTestServer(options = {}) {
+  const driver = 'driver' in options ? options.driver : createMockDriver();
+  const remote = createRemoteControlServer({
+    host: '127.0.0.1',
+    networkIP: '127.0.0.1',
+    requirePairing: false,
+    resumeGrace: 0,
+    motionSettings: LINEAR_MOTION,
+    logger: silentLogger,
+    ...options,
+    driver
+  });
+  const port = await remote.start(0);
+
+  return {
+    remote,
+    driver,
+    port,
+    baseUrl: `http://127.0.0.1:${port}`,
+    wsUrl: `ws://127.0.0.1:${port}/ws`
+  };
+}
+
+// Open a client socket. Incoming JSON messages are queued on `client.messages`
+// and can be awaited with `client.nextMessage(type)` (binary ones with type 'binary').
+export function connectClient(url, options) {
+  return new Promise((resolve, reject) => {
+    const client = new WebSocket(url, options);
+    client.messages = [];
+    const waiters = [];
+
+    client.on('message', (raw, isBinary) => {
+      const message = isBinary ? raw : JSON.parse(raw);
+      client.messages.push(message);
+      for (const waiter of [...waiters]) {
+        if (waiter.matches(message)) {
+          waiters.splice(waiters.indexOf(waiter), 1);
+          waiter.resolve(message);
+        }
+      }
+    });
+
+    client.nextMessage = (type, timeout = 1000) => {
+      const matches = (message) => type === 'binary' ? Buffer.isBuffer(message) : !type || message.type === type;
+      const queued = client.messages.find(matches);
+      if (queued) {
+        client.messages.splice(client.messages.indexOf(queued), 1);
+        return Promise.resolve(queued);
+      }
+      return new Promise((resolveMessage, rejectMessage) => {
+        const timer = setTimeout(() => rejectMessage(new Error(`Timed out waiting for ${type || 'a message'}`)), timeout);
+        waiters.push({
+          matches,
+          resolve: (message) => {
+            clearTimeout(timer);
+            client.messages.splice(client.messages.indexOf(message), 1);
+            resolveMessage(message);
+          }
+        });
+      });
+    };
+
+    client.sendJSON = (data) => client.send(JSON.stringify(data));
+    client.once('open', () => resolve(client));
+    client.once('unexpected-response', (req, res) => {
+      reject(Object.assign(new Error(`Unexpected response ${res.statusCode}`), { statusCode: res.statusCode }));
+    });
+    client.once('error', reject);
+  });
+}
+
+export function closeClient(client) {
+  return new Promise((resolve) => {
+    if (client.readyState === WebSocket.CLOSED) return resolve();
+    client.once('close', resolve);
+    client.close();
+  });
+}
+
+// Poll until the condition holds - the server doesn't acknowledge every message
+export async function waitFor(condition, timeout = 1000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
@@ -0,0 +1,88 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+const JSON_TYPE = { 'Content-Type': 'application/json' };
+
+describe('HTTP API', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  test('GET /health reports status and the input driver', async () => {
+    const res = await fetch(`${ctx.baseUrl}/health`);
+    assert.equal(res.status, 200);
+
+    const body = await res.json();
+    assert.equal(body.status, 'ok');
+    assert.equal(body.inputDriver, 'mock');
+    assert.equal(body.robotjs, false);
+    assert.equal(body.pairingRequired, false);
+    assert.ok(body.timestamp);
+  });
+
+  test('GET /api/server-info reports the bound port and screen size', async () => {
+    const body = await (await fetch(`${ctx.baseUrl}/api/server-info`)).json();
+
+    assert.equal(body.port, ctx.port);
+    assert.equal(body.networkIP, '127.0.0.1');
+    assert.deepEqual(body.screenSize, { width: 1920, height: 1080 });
+    assert.deepEqual(body.displays, [{ index: 0, name: 'primary', x: 0, y: 0, width: 1920, height: 1080 }]);
+    assert.equal(body.activeSessions, 0);
+  });
+
+  test('GET /api/sessions lists connected clients', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await waitFor(() => ctx.remote.sessions.size === 1);
+
+    const body = await (await fetch(`${ctx.baseUrl}/api/sessions`)).json();
+    assert.equal(body.totalSessions, 1);
+    assert.match(body.sessions[0].id, /^session_\d+_\d+$/);
+    assert.equal(body.sessions[0].ip, '127.0.0.1');
+
+    await closeClient(client);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+  });
+
+  test('DELETE /api/sessions/:id disconnects the session', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await waitFor(() => ctx.remote.sessions.size === 1);
+    const [sessionId] = ctx.remote.sessions.keys();
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    const res = await fetch(`${ctx.baseUrl}/api/sessions/${sessionId}`, { method: 'DELETE', headers: JSON_TYPE });
+    assert.equal(res.status, 200);
+    assert.equal(await closed, 4001);
+    assert.equal(ctx.remote.sessions.size, 0);
+
+    const missing = await fetch(`${ctx.baseUrl}/api/sessions/${sessionId}`, { method: 'DELETE', headers: JSON_TYPE });
+    assert.equal(missing.status, 404);
+  });
+
+  test('serves the mobile interface and session page', async () => {
+    for (const path of ['/', '/session.html']) {
+      const res = await fetch(`${ctx.baseUrl}${path}`);
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get('content-type'), /text\/html/);
+    }
+  });
+});
+
+describe('HTTP API without an input driver', () => {
+  test('reports server mode', async () => {
+    const ctx = await startTestServer({ driver: null });
+    try {
+      const body = await (await fetch(`${ctx.baseUrl}/api/server-info`)).json();
+      assert.equal(body.inputDriver, null);
+      assert.equal(body.screenSize, null);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
@@ -0,0 +1,188 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createMacroStore, createMacroRecorder, playMacro, MacroError } from '../lib/macros.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+const tap = (key) => ({ type: 'keyTap', key });
+
+describe('macro store', () => {
+  let directory;
+  let store;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'macros-'));
+    store = createMacroStore({ directory });
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  test('saves, lists, loads and deletes macros', async () => {
+    const saved = await store.save('slides', [
+      { delay: 0, message: tap('f5') },
+      { delay: 250, message: { type: 'click', seq: 4 } }
+    ]);
+    assert.deepEqual({ ...saved, createdAt: null }, { name: 'slides', createdAt: null, steps: 2, duration: 250 });
+
+    const macro = await store.get('slides');
+    // Messages are normalized through the protocol schemas
+    assert.deepEqual(macro.steps[0].message, { type: 'keyTap', key: 'f5', modifiers: [] });
+    assert.deepEqual(macro.steps[1].message, { type: 'click' });
+    assert.deepEqual((await store.list()).map(item => item.name), ['slides']);
+
+    assert.equal(await store.remove('slides'), true);
+    assert.equal(await store.remove('slides'), false);
+    assert.equal(await store.get('slides'), null);
+  });
+
+  test('rejects unsafe names and invalid steps', async () => {
+    await assert.rejects(store.get('../secrets'), MacroError);
+    await assert.rejects(store.save('empty', []), /non-empty/);
+    await assert.rejects(store.save('nested', [{ delay: 0, message: { type: 'macroPlay', name: 'x' } }]), /can't be used/);
+    await assert.rejects(store.save('bad', [{ delay: 0, message: { type: 'move', deltaX: 'far' } }]), /Step 1: deltaX/);
+    await assert.rejects(store.save('slow', [{ delay: 60000, message: tap('a') }]), /delay/);
+  });
+
+  test('skips broken files when listing', async () => {
+    await writeFile(join(directory, 'broken.json'), '{ nope');
+    await store.save('good', [{ delay: 0, message: tap('a') }]);
+    assert.deepEqual((await store.list()).map(item => item.name), ['good']);
+  });
+});
+
+describe('macro playback', () => {
+  test('the recorder stores delays between commands', () => {
+    let now = 1000;
+    const recorder = createMacroRecorder('demo', () => now);
+    now += 40;
+    recorder.record({ type: 'click', seq: 1 });
+    now += 60000;
+    recorder.record(tap('a'));
+    assert.deepEqual(recorder.steps, [
+      { delay: 40, message: { type: 'click' } },
+      { delay: 10000, message: tap('a') }
+    ]);
+  });
+
+  test('plays steps in order, scaled by speed', async () => {
+    const ran = [];
+    const started = Date.now();
+    const playback = playMacro({ name: 'demo', steps: [
+      { delay: 0, message: tap('a') },
+      { delay: 80, message: tap('b') }
+    ] }, { speed: 2, run: (message) => ran.push(message.key) });
+
+    assert.deepEqual(await playback.done, { status: 'finished' });
+    assert.deepEqual(ran, ['a', 'b']);
+    assert.ok(Date.now() - started < 80);
+  });
+
+  test('stops on cancel or when a step throws', async () => {
+    const steps = [{ delay: 0, message: tap('a') }, { delay: 1000, message: tap('b') }];
+    const ran = [];
+    const cancelled = playMacro({ steps }, { run: (message) => ran.push(message.key) });
+    await waitFor(() => ran.length === 1);
+    cancelled.cancel('live input');
+    assert.deepEqual(await cancelled.done, { status: 'cancelled', reason: 'live input' });
+    assert.deepEqual(ran, ['a']);
+
+    const failed = playMacro({ steps }, { run: () => { throw new Error('boom'); } });
+    const result = await failed.done;
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error.message, 'boom');
+  });
+});
+
+describe('macros over WebSocket and REST', () => {
+  let directory;
+  let ctx;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'macros-'));
+    ctx = await startTestServer({ macroDir: directory });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  const keys = () => ctx.driver.callsTo('keyTap').map(call => call.args[0]);
+
+  test('records a session and plays it back', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    client.sendJSON({ type: 'macroRecord', name: 'greet' });
+    assert.equal((await client.nextMessage('macro')).event, 'recording');
+    client.sendJSON({ type: 'keyTap', key: 'h' });
+    client.sendJSON({ type: 'typeText', text: 'ello' });
+    client.sendJSON({ type: 'requestControl' });
+    client.sendJSON({ type: 'macroStop' });
+    const saved = await client.nextMessage('macro');
+    assert.equal(saved.event, 'saved');
+    assert.equal(saved.steps, 2);
+
+    const list = await (await fetch(`${ctx.baseUrl}/api/macros`)).json();
+    assert.deepEqual(list.macros.map(macro => macro.name), ['greet']);
+
+    ctx.driver.reset();
+    client.sendJSON({ type: 'macroPlay', name: 'greet', speed: 4, seq: 1 });
+    assert.equal((await client.nextMessage('ack')).seq, 1);
+    assert.equal((await client.nextMessage('macro')).event, 'started');
+    assert.equal((await client.nextMessage('macro')).event, 'finished');
+    assert.deepEqual(keys(), ['h']);
+    assert.deepEqual(ctx.driver.callsTo('typeString')[0].args, ['ello']);
+
+    client.sendJSON({ type: 'macroPlay', name: 'missing', seq: 2 });
+    assert.equal((await client.nextMessage('error')).code, 'MACRO_NOT_FOUND');
+    client.sendJSON({ type: 'macroStop', seq: 3 });
+    assert.equal((await client.nextMessage('error')).code, 'INVALID_MESSAGE');
+
+    await closeClient(client);
+  });
+
+  test('live input cancels playback', async () => {
+    const put = await fetch(`${ctx.baseUrl}/api/macros/slow`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ steps: [{ delay: 0, message: tap('a') }, { delay: 2000, message: tap('b') }] })
+    });
+    assert.equal(put.status, 200);
+
+    // The previous test's session must be gone so this client gets control
+    await waitFor(() => ctx.remote.sessions.size === 0);
+    const client = await connectClient(ctx.wsUrl);
+    ctx.driver.reset();
+    client.sendJSON({ type: 'macroPlay', name: 'slow' });
+    await waitFor(() => keys().length === 1);
+    client.sendJSON({ type: 'click' });
+
+    let event;
+    do {
+      event = await client.nextMessage('macro');
+    } while (event.event === 'started');
+    assert.deepEqual(event, { type: 'macro', event: 'cancelled', name: 'slow', reason: 'live input' });
+    assert.deepEqual(keys(), ['a']);
+
+    await closeClient(client);
+  });
+
+  test('REST validates and deletes macros', async () => {
+    const bad = await fetch(`${ctx.baseUrl}/api/macros/bad`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ steps: [{ delay: 0, message: { type: 'grantControl', sessionId: 'x' } }] })
+    });
+    assert.equal(bad.status, 400);
+
+    const macro = await (await fetch(`${ctx.baseUrl}/api/macros/slow`)).json();
+    assert.equal(macro.steps.length, 2);
+
+    assert.equal((await fetch(`${ctx.baseUrl}/api/macros/slow`, { method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(`${ctx.baseUrl}/api/macros/slow`, { method: 'DELETE' })).status, 404);
+    assert.equal((await fetch(`${ctx.baseUrl}/api/macros/..%2Fetc`)).status, 400);
+  });
+});
@@ -0,0 +1,137 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_MOTION_SETTINGS,
+  normalizeMotionSettings,
+  accelerationGain,
+  createMotionPipeline
+} from '../lib/motion.js';
+import { createMockDriver } from '../lib/drivers/mock.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+// Pipeline driven by a fake clock; frames are flushed by hand
+function createTestPipeline(settings) {
+  const moves = [];
+  const clock = { now: 1000 };
+  const pipeline = createMotionPipeline({
+    settings,
+    onMove: (x, y) => moves.push([x, y]),
+    now: () => clock.now
+  });
+  return { pipeline, moves, clock };
+}
+
+describe('motion pipeline', () => {
+  test('settings are clamped and unknown values ignored', () => {
+    assert.deepEqual(normalizeMotionSettings({}), DEFAULT_MOTION_SETTINGS);
+    assert.deepEqual(
+      normalizeMotionSettings({ sensitivity: 50, acceleration: -1, smoothing: 'lots', extra: 1 }),
+      { ...DEFAULT_MOTION_SETTINGS, sensitivity: 10, acceleration: 0 }
+    );
+  });
+
+  test('acceleration only kicks in for fast movement and is capped', () => {
+    assert.equal(accelerationGain(0.1, 1), 1);
+    assert.equal(accelerationGain(5, 0), 1);
+    assert.ok(accelerationGain(0.6, 1) > 1);
+    assert.equal(accelerationGain(100, 2), 4);
+  });
+
+  test('coalesces a burst of moves into one scaled move per frame', () => {
+    const { pipeline, moves } = createTestPipeline({ sensitivity: 2, acceleration: 0, smoothing: 0 });
+    for (let i = 0; i < 10; i++) {
+      pipeline.push(1, -1);
+    }
+    pipeline.flush();
+    assert.deepEqual(moves, [[20, -20]]);
+  });
+
+  test('carries sub-pixel motion over to later frames', () => {
+    const { pipeline, moves, clock } = createTestPipeline({ sensitivity: 0.25, acceleration: 0, smoothing: 0 });
+    for (let i = 0; i < 5; i++) {
+      clock.now += 16;
+      pipeline.push(1, 0);
+      pipeline.flush();
+    }
+    assert.deepEqual(moves, [[1, 0]]);
+  });
+
+  test('smoothing damps sudden jumps within a gesture', () => {
+    const { pipeline, moves, clock } = createTestPipeline({ sensitivity: 1, acceleration: 0, smoothing: 0.5 });
+    pipeline.push(2, 0);
+    pipeline.flush();
+    clock.now += 16;
+    pipeline.push(10, 0);
+    pipeline.flush();
+    assert.deepEqual(moves, [[2, 0], [6, 0]]);
+  });
+
+  test('cancel drops moves that were not applied yet', () => {
+    const { pipeline, moves } = createTestPipeline();
+    pipeline.push(50, 50);
+    pipeline.cancel();
+    pipeline.flush();
+    assert.deepEqual(moves, []);
+  });
+
+  test('sessions apply their own pointer settings over WebSocket', async () => {
+    const ctx = await startTestServer();
+    try {
+      const client = await connectClient(ctx.wsUrl);
+      const hello = await client.nextMessage('hello');
+      assert.deepEqual(hello.settings, { sensitivity: 1, acceleration: 0, smoothing: 0 });
+
+      client.sendJSON({ type: 'settings', sensitivity: 3, smoothing: 5 });
+      assert.deepEqual(await client.nextMessage('settings'), {
+        type: 'settings', sensitivity: 3, acceleration: 0, smoothing: 0.9
+      });
+      client.sendJSON({ type: 'settings', smoothing: 0, seq: 1 });
+      await client.nextMessage('ack');
+
+      ctx.driver.moveMouse(100, 100);
+      ctx.driver.reset();
+      for (let i = 0; i < 4; i++) {
+        client.sendJSON({ type: 'move', deltaX: 5, deltaY: 0 });
+      }
+      await waitFor(() => ctx.driver.getMousePos().x === 160);
+      assert.ok(ctx.driver.callsTo('moveMouse').length < 4);
+
+      await closeClient(client);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('a driver that cannot read the pointer position does not take the server down', async () => {
+    const driver = createMockDriver();
+    driver.getMousePos = () => {
+      throw new Error('xdotool getmouselocation timed out');
+    };
+    const errors = [];
+    const logger = { debug() {}, info() {}, log() {}, warn() {}, error: (...args) => errors.push(args) };
+    const ctx = await startTestServer({
+      driver,
+      logger,
+      gamepadProfiles: [{ id: 'couch', stick: 'mouse', deadzone: 0, buttons: [] }]
+    });
+    try {
+      const client = await connectClient(ctx.wsUrl);
+      await client.nextMessage('hello');
+
+      client.sendJSON({ type: 'move', deltaX: 5, deltaY: 0 });
+      await waitFor(() => errors.length === 1);
+
+      client.sendJSON({ type: 'gamepad', x: 1, y: 0, seq: 1 });
+      await client.nextMessage('ack');
+      await waitFor(() => errors.length >= 3);
+      client.sendJSON({ type: 'gamepad', x: 0, y: 0, seq: 2 });
+      await client.nextMessage('ack');
+
+      assert.ok(errors.every(([message, error]) => /Failed to move the pointer/.test(message) && /timed out/.test(error.message)));
+      assert.equal(driver.callsTo('moveMouse').length, 0);
+      await closeClient(client);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
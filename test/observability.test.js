@@ -0,0 +1,179 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createLogger } from '../lib/logger.js';
+import { createAuditLog } from '../lib/audit.js';
+import { createMetricsRegistry } from '../lib/metrics.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+const readLines = async (file) => (await readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+describe('logger', () => {
+  const capture = (options) => {
+    const lines = [];
+    const logger = createLogger({ ...options, write: (level, line) => lines.push([level, line]), now: () => new Date(0) });
+    return { logger, lines };
+  };
+
+  test('drops messages below the level', () => {
+    const { logger, lines } = capture({ level: 'warn' });
+    logger.debug('noise');
+    logger.log('info');
+    logger.warn('careful', 3);
+    logger.error('broken');
+    assert.deepEqual(lines, [['warn', 'careful 3'], ['error', 'broken']]);
+  });
+
+  test('writes JSON lines with fields and errors', () => {
+    const { logger, lines } = capture({ format: 'json', fields: { service: 'remote' } });
+    logger.error('Failed:', new Error('boom'), { session: 'abc' });
+    const entry = JSON.parse(lines[0][1]);
+    assert.equal(entry.time, '1970-01-01T00:00:00.000Z');
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.msg, 'Failed:');
+    assert.equal(entry.service, 'remote');
+    assert.equal(entry.session, 'abc');
+    assert.equal(entry.error.message, 'boom');
+  });
+
+  test('rejects unknown levels and formats', () => {
+    assert.throws(() => createLogger({ level: 'loud' }), /Unknown log level/);
+    assert.throws(() => createLogger({ format: 'xml' }), /Unknown log format/);
+  });
+});
+
+describe('audit log', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'audit-'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('appends events and rotates full files', async () => {
+    const file = join(dir, 'nested', 'audit.log');
+    const audit = createAuditLog({ file, maxBytes: 200, maxFiles: 2 });
+    for (let i = 0; i < 12; i++) {
+      audit.record('input', { session: 's1', type: 'click', index: i });
+    }
+    await audit.flush();
+
+    const files = (await readdir(join(dir, 'nested'))).sort();
+    assert.deepEqual(files, ['audit.log', 'audit.log.1', 'audit.log.2']);
+    const latest = await readLines(file);
+    assert.equal(latest.at(-1).index, 11);
+    assert.equal(latest[0].event, 'input');
+    assert.ok(latest[0].time);
+  });
+});
+
+describe('metrics registry', () => {
+  test('renders counters, gauges and histograms', () => {
+    const metrics = createMetricsRegistry({ prefix: 'app_' });
+    const requests = metrics.counter('requests_total', 'Requests');
+    metrics.gauge('up', 'Up', { collect: () => 1 });
+    const latency = metrics.histogram('latency_seconds', 'Latency', { buckets: [0.1, 1] });
+
+    requests.inc({ type: 'a"b' });
+    requests.inc({ type: 'a"b' }, 2);
+    latency.observe({ type: 'x' }, 0.5);
+
+    const text = metrics.render();
+    assert.match(text, /# TYPE app_requests_total counter\napp_requests_total\{type="a\\"b"\} 3/);
+    assert.match(text, /app_up 1/);
+    assert.match(text, /app_latency_seconds_bucket\{type="x",le="0.1"\} 0/);
+    assert.match(text, /app_latency_seconds_bucket\{type="x",le="1"\} 1/);
+    assert.match(text, /app_latency_seconds_bucket\{type="x",le="\+Inf"\} 1/);
+    assert.match(text, /app_latency_seconds_count\{type="x"\} 1/);
+  });
+});
+
+describe('server observability', () => {
+  let ctx;
+  let dir;
+  let auditLog;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'audit-'));
+    auditLog = createAuditLog({ file: join(dir, 'audit.log') });
+    ctx = await startTestServer({ auditLog, adminToken: 'secret', macroDir: join(dir, 'macros') });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('serves Prometheus metrics to admins', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+    client.sendJSON({ type: 'click', seq: 1 });
+    await client.nextMessage('ack');
+    client.sendJSON({ type: 'keyTap', seq: 2 });
+    await client.nextMessage('error');
+
+    assert.equal((await fetch(`${ctx.baseUrl}/metrics`)).status, 401);
+    const res = await fetch(`${ctx.baseUrl}/metrics`, { headers: { Authorization: 'Bearer secret' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain/);
+    const text = await res.text();
+    assert.match(text, /remote_control_connections 1/);
+    assert.match(text, /remote_control_messages_total\{type="click"\} 1/);
+    assert.match(text, /remote_control_messages_rejected_total\{code="INVALID_FIELD"\} 1/);
+    assert.match(text, /remote_control_input_latency_seconds_count\{type="click"\} 1/);
+
+    await closeClient(client);
+  });
+
+  test('audits connections and input without typed text', async () => {
+    const client = await connectClient(ctx.wsUrl, { headers: { 'User-Agent': 'AuditTest' } });
+    const hello = await client.nextMessage('hello');
+    client.sendJSON({ type: 'typeText', text: 'hunter2', seq: 1 });
+    await client.nextMessage('ack');
+    await closeClient(client);
+    await waitFor(() => ctx.remote.connectedClients === 0);
+    await auditLog.flush();
+
+    const events = (await readLines(auditLog.file)).filter(entry => entry.session === hello.sessionId);
+    assert.deepEqual(events.map(entry => entry.event).slice(0, 3), ['connect', 'input', 'disconnect']);
+    assert.equal(events[0].userAgent, 'AuditTest');
+    assert.equal(events[1].type, 'typeText');
+    assert.equal(events[1].characters, 7);
+    assert.ok(!JSON.stringify(events).includes('hunter2'));
+  });
+
+  test('audits macro playback', async () => {
+    const saved = await fetch(`${ctx.baseUrl}/api/macros/wave`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ steps: [{ delay: 0, message: { type: 'click' } }] })
+    });
+    assert.equal(saved.status, 200);
+
+    const client = await connectClient(ctx.wsUrl);
+    const hello = await client.nextMessage('hello');
+    const finished = () => client.messages.filter(message => message.type === 'macro' && message.event === 'finished').length;
+    client.sendJSON({ type: 'macroPlay', name: 'wave', speed: 2, seq: 1 });
+    await client.nextMessage('ack');
+    await waitFor(() => finished() === 1);
+    client.sendJSON({ type: 'macroPlay', name: 'wave', seq: 2 });
+    await client.nextMessage('ack');
+    await waitFor(() => finished() === 2);
+    await closeClient(client);
+    await auditLog.flush();
+
+    // Each playback once, then its steps
+    const inputs = (await readLines(auditLog.file)).filter(entry => entry.session === hello.sessionId && entry.event === 'input');
+    assert.deepEqual(inputs.map(({ type, name, speed, macro }) => ({ type, name, speed, macro })), [
+      { type: 'macroPlay', name: 'wave', speed: 2, macro: undefined },
+      { type: 'click', name: undefined, speed: undefined, macro: 'wave' },
+      { type: 'macroPlay', name: 'wave', speed: 1, macro: undefined },
+      { type: 'click', name: undefined, speed: undefined, macro: 'wave' }
+    ]);
+  });
+});
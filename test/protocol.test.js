@@ -0,0 +1,77 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMessage, ProtocolError, MAX_MOVE_DELTA } from '../lib/protocol.js';
+import { startTestServer, connectClient, waitFor } from './helpers.js';
+
+const rejects = (raw, code) => {
+  assert.throws(() => parseMessage(raw), (error) => error instanceof ProtocolError && error.code === code);
+};
+
+describe('parseMessage', () => {
+  test('rejects malformed messages', () => {
+    rejects('not json', 'INVALID_JSON');
+    rejects('[1, 2]', 'INVALID_MESSAGE');
+    rejects('{"deltaX": 1}', 'INVALID_MESSAGE');
+    rejects('{"type": "formatDisk"}', 'UNKNOWN_TYPE');
+    rejects('{"type": "toString"}', 'UNKNOWN_TYPE');
+    rejects('{"type": "setSessionId", "sessionId": "session_1"}', 'UNKNOWN_TYPE');
+    rejects(JSON.stringify({ type: 'typeText', text: 'a'.repeat(5000) }), 'MESSAGE_TOO_LARGE');
+  });
+
+  test('validates field types', () => {
+    rejects('{"type": "move", "deltaX": "10", "deltaY": 0}', 'INVALID_FIELD');
+    rejects('{"type": "move", "deltaX": 1}', 'INVALID_FIELD');
+    rejects('{"type": "mouseDown", "button": "side"}', 'INVALID_FIELD');
+    rejects('{"type": "scroll", "deltaY": 1, "modifiers": ["hyper"]}', 'INVALID_FIELD');
+    rejects('{"type": "keyTap", "key": "a", "modifiers": "hyper"}', 'INVALID_FIELD');
+    rejects('{"type": "grantControl", "sessionId": "../../etc"}', 'INVALID_FIELD');
+    rejects('{"type": "typeText", "text": "\\u0007"}', 'INVALID_FIELD');
+  });
+
+  test('clamps numbers and drops undeclared fields', () => {
+    const message = parseMessage(JSON.stringify({ type: 'move', deltaX: 1e9, deltaY: -3, extra: true }));
+    assert.deepEqual(message, { type: 'move', deltaX: MAX_MOVE_DELTA, deltaY: -3 });
+  });
+
+  test('fills in defaults', () => {
+    assert.deepEqual(parseMessage('{"type": "scroll", "deltaY": 4}'), { type: 'scroll', deltaX: 0, deltaY: 4, modifiers: [] });
+    assert.deepEqual(parseMessage('{"type": "mouseDown"}'), { type: 'mouseDown', button: 'left' });
+    assert.deepEqual(parseMessage('{"type": "keyTap", "key": "F5"}'), { type: 'keyTap', key: 'f5', modifiers: [] });
+  });
+});
+
+describe('invalid message handling', () => {
+  test('replies with a typed error', async () => {
+    const ctx = await startTestServer();
+    try {
+      const client = await connectClient(ctx.wsUrl);
+      client.send('{oops');
+
+      assert.deepEqual(await client.nextMessage('error'), {
+        type: 'error',
+        code: 'INVALID_JSON',
+        message: 'Message is not valid JSON'
+      });
+      client.close();
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('disconnects clients that keep sending invalid messages', async () => {
+    const ctx = await startTestServer({ maxInvalidMessages: 3 });
+    try {
+      const client = await connectClient(ctx.wsUrl);
+      const closed = new Promise(resolve => client.once('close', resolve));
+
+      for (let i = 0; i < 3; i++) {
+        client.sendJSON({ type: 'bogus' });
+      }
+
+      assert.equal(await closed, 1008);
+      await waitFor(() => ctx.remote.sessions.size === 0);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
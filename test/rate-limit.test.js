@@ -0,0 +1,155 @@
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter, createTokenBucket, normalizeRateLimits } from '../lib/rate-limit.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+describe('token buckets', () => {
+  test('allow a burst, then refill at the rate', () => {
+    let now = 0;
+    const bucket = createTokenBucket({ rate: 10, burst: 3 }, () => now);
+
+    assert.deepEqual([bucket.take(), bucket.take(), bucket.take()], [0, 0, 0]);
+    assert.equal(bucket.take(), 100);
+
+    now = 50;
+    assert.equal(bucket.take(), 50);
+    now = 100;
+    assert.equal(bucket.take(), 0);
+    // Refills never go past the burst size
+    now = 10000;
+    assert.deepEqual([bucket.take(), bucket.take(), bucket.take(), bucket.take() > 0], [0, 0, 0, true]);
+
+    assert.equal(bucket.isFull(), false);
+    now = 10300;
+    assert.equal(bucket.isFull(), true);
+  });
+
+  test('keep a bucket per message type', () => {
+    const now = () => 0;
+    const limiter = createRateLimiter(normalizeRateLimits({ click: { rate: 1, burst: 1 } }), now);
+
+    assert.equal(limiter.take('click'), 0);
+    assert.ok(limiter.take('click') > 0);
+    assert.equal(limiter.take('move'), 0);
+    // Unlisted types share the default limit's size but not its bucket
+    assert.equal(limiter.take('subscribe'), 0);
+  });
+
+  test('reject invalid limits', () => {
+    assert.throws(() => normalizeRateLimits({ click: { rate: 0, burst: 5 } }), /Invalid rate limit for click/);
+    assert.throws(() => normalizeRateLimits({ move: { rate: 5 } }), /Invalid rate limit for move/);
+  });
+});
+
+describe('flood protection', () => {
+  const servers = [];
+  const start = async (options) => {
+    const ctx = await startTestServer(options);
+    servers.push(ctx);
+    return ctx;
+  };
+
+  after(async () => {
+    await Promise.all(servers.map(ctx => ctx.remote.stop()));
+  });
+
+  test('drops messages over a type limit and says so once', async () => {
+    const ctx = await start({ rateLimits: { click: { rate: 0.5, burst: 2 } } });
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+
+    for (let i = 0; i < 5; i++) {
+      client.sendJSON({ type: 'click' });
+    }
+    const error = await client.nextMessage('error');
+    assert.equal(error.code, 'RATE_LIMITED');
+    assert.ok(error.retryAfter > 0);
+
+    // Numbered messages always get an answer
+    client.sendJSON({ type: 'click', seq: 7 });
+    const numbered = await client.nextMessage('error');
+    assert.equal(numbered.seq, 7);
+    // Other types have their own budget
+    client.sendJSON({ type: 'keyTap', key: 'a', seq: 8 });
+    await client.nextMessage('ack');
+
+    assert.equal(ctx.driver.callsTo('mouseClick').length, 2);
+    assert.equal(client.messages.filter(message => message.code === 'RATE_LIMITED').length, 0);
+
+    const health = await (await fetch(`${ctx.baseUrl}/health`)).json();
+    assert.equal(health.throttling.messages, 4);
+    assert.equal(health.throttling.byType.click, 4);
+
+    await closeClient(client);
+  });
+
+  test('limits all messages from one address', async () => {
+    const ctx = await start({ ipRateLimit: { rate: 1, burst: 3 } });
+    const first = await connectClient(ctx.wsUrl);
+    const second = await connectClient(ctx.wsUrl);
+    await first.nextMessage('hello');
+    await second.nextMessage('hello');
+
+    first.sendJSON({ type: 'subscribe', topic: 'cursor', seq: 1 });
+    second.sendJSON({ type: 'subscribe', topic: 'cursor', seq: 2 });
+    second.sendJSON({ type: 'unsubscribe', topic: 'cursor', seq: 3 });
+    await second.nextMessage('ack');
+    await second.nextMessage('ack');
+    first.sendJSON({ type: 'releaseControl', seq: 4 });
+    const error = await first.nextMessage('error');
+    assert.equal(error.code, 'RATE_LIMITED');
+    assert.match(error.message, /Too many messages/);
+
+    await closeClient(first);
+    await closeClient(second);
+  });
+
+  test('keeps an address limited across reconnects', async () => {
+    const ctx = await start({ ipRateLimit: { rate: 0.5, burst: 2 } });
+    const first = await connectClient(ctx.wsUrl);
+    await first.nextMessage('hello');
+    first.sendJSON({ type: 'subscribe', topic: 'cursor', seq: 1 });
+    first.sendJSON({ type: 'unsubscribe', topic: 'cursor', seq: 2 });
+    await first.nextMessage('ack');
+    await first.nextMessage('ack');
+    await closeClient(first);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+    ctx.remote.cleanupInactiveSessions();
+
+    const second = await connectClient(ctx.wsUrl);
+    await second.nextMessage('hello');
+    second.sendJSON({ type: 'subscribe', topic: 'cursor', seq: 1 });
+    assert.equal((await second.nextMessage('error')).code, 'RATE_LIMITED');
+    await closeClient(second);
+  });
+
+  test('caps connections per address', async () => {
+    const ctx = await start({ maxConnectionsPerIp: 2 });
+    const clients = [await connectClient(ctx.wsUrl), await connectClient(ctx.wsUrl)];
+
+    await assert.rejects(connectClient(ctx.wsUrl), { statusCode: 429 });
+    const health = await (await fetch(`${ctx.baseUrl}/health`)).json();
+    assert.equal(health.throttling.connectionsRejected, 1);
+
+    await closeClient(clients.pop());
+    await waitFor(() => ctx.remote.connectedClients === 1);
+    clients.push(await connectClient(ctx.wsUrl));
+    await Promise.all(clients.map(closeClient));
+  });
+
+  test('disconnects clients that keep flooding', async () => {
+    const ctx = await start({ rateLimits: { move: { rate: 1, burst: 1 } }, maxThrottledMessages: 20 });
+    const client = await connectClient(ctx.wsUrl);
+    await client.nextMessage('hello');
+    const closed = new Promise(resolve => client.once('close', resolve));
+
+    for (let i = 0; i < 30; i++) {
+      client.sendJSON({ type: 'move', deltaX: 1, deltaY: 0 });
+    }
+    assert.equal(await closed, 1008);
+    await waitFor(() => ctx.remote.sessions.size === 0);
+
+    const health = await (await fetch(`${ctx.baseUrl}/health`)).json();
+    assert.equal(health.throttling.disconnects, 1);
+  });
+});
@@ -0,0 +1,259 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+import { createPairingManager } from '../lib/pairing.js';
+
+describe('sessions', () => {
+  test('inactive sessions are cleaned up after the timeout', async () => {
+    const ctx = await startTestServer({ sessionTimeout: 50 });
+    try {
+      const idle = await connectClient(ctx.wsUrl);
+      const closed = new Promise(resolve => idle.once('close', resolve));
+      await waitFor(() => ctx.remote.sessions.size === 1);
+
+      assert.equal(ctx.remote.cleanupInactiveSessions(), 0);
+
+      await new Promise(resolve => setTimeout(resolve, 80));
+      const active = await connectClient(ctx.wsUrl);
+      await waitFor(() => ctx.remote.sessions.size === 2);
+
+      assert.equal(ctx.remote.cleanupInactiveSessions(), 1);
+      await closed;
+      assert.equal(ctx.remote.sessions.size, 1);
+
+      await closeClient(active);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
+
+describe('session resume', () => {
+  const resumeUrl = (ctx, hello) => {
+    const query = new URLSearchParams({ resume: hello.sessionId, resumeToken: hello.resumeToken });
+    return `${ctx.wsUrl}?${query}`;
+  };
+
+  test('a dropped session can be resumed with its token, keeping control and subscriptions', async () => {
+    const ctx = await startTestServer({ resumeGrace: 1000 });
+    try {
+      const first = await connectClient(ctx.wsUrl);
+      const hello = await first.nextMessage('hello');
+      assert.equal(hello.resumed, false);
+      assert.ok(hello.resumeToken.length >= 32);
+      first.sendJSON({ type: 'subscribe', topic: 'cursor', seq: 1 });
+      await first.nextMessage('ack');
+
+      await closeClient(first);
+      await waitFor(() => ctx.remote.sessions.get(hello.sessionId).ws === null);
+
+      // Someone else connecting meanwhile can't take the detached session's control
+      const other = await connectClient(ctx.wsUrl);
+      assert.equal((await other.nextMessage('control')).owner, hello.sessionId);
+
+      const again = await connectClient(resumeUrl(ctx, hello));
+      const resumedHello = await again.nextMessage('hello');
+      assert.equal(resumedHello.resumed, true);
+      assert.equal(resumedHello.sessionId, hello.sessionId);
+      assert.notEqual(resumedHello.resumeToken, hello.resumeToken);
+      assert.equal((await again.nextMessage('control')).role, 'controller');
+      await again.nextMessage('cursor');
+
+      // Resume tokens are single-use
+      await assert.rejects(connectClient(resumeUrl(ctx, hello)).then(client => client.nextMessage('hello')).then(message => {
+        if (!message.resumed) throw new Error('not resumed');
+      }));
+
+      await closeClient(again);
+      await closeClient(other);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('a wrong token starts a new session instead', async () => {
+    const ctx = await startTestServer({ resumeGrace: 1000 });
+    try {
+      const first = await connectClient(ctx.wsUrl);
+      const hello = await first.nextMessage('hello');
+
+      const spoof = await connectClient(resumeUrl(ctx, { sessionId: hello.sessionId, resumeToken: 'guess' }));
+      assert.equal((await spoof.nextMessage('error')).code, 'RESUME_REJECTED');
+      const spoofHello = await spoof.nextMessage('hello');
+      assert.equal(spoofHello.resumed, false);
+      assert.notEqual(spoofHello.sessionId, hello.sessionId);
+
+      // The original session is untouched
+      assert.equal(ctx.remote.sessions.get(hello.sessionId).ws.readyState, 1);
+      assert.equal(ctx.remote.control.getState().owner, hello.sessionId);
+
+      await closeClient(spoof);
+      await closeClient(first);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('resuming from a new connection replaces the old socket', async () => {
+    const ctx = await startTestServer({ resumeGrace: 1000 });
+    try {
+      const first = await connectClient(ctx.wsUrl);
+      const hello = await first.nextMessage('hello');
+      const closed = new Promise(resolve => first.once('close', resolve));
+
+      const second = await connectClient(resumeUrl(ctx, hello));
+      assert.equal((await second.nextMessage('hello')).resumed, true);
+      assert.equal(await closed, 4002);
+      assert.equal(ctx.remote.sessions.size, 1);
+
+      await closeClient(second);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('sessions end and control moves on once the grace window passes', async () => {
+    const ctx = await startTestServer({ resumeGrace: 50 });
+    try {
+      const first = await connectClient(ctx.wsUrl);
+      const hello = await first.nextMessage('hello');
+      const second = await connectClient(ctx.wsUrl);
+      second.sendJSON({ type: 'requestControl', seq: 1 });
+      await second.nextMessage('ack');
+
+      await closeClient(first);
+      await waitFor(() => !ctx.remote.sessions.has(hello.sessionId));
+      assert.notEqual(ctx.remote.control.getState().owner, hello.sessionId);
+      assert.equal(ctx.remote.control.getState().queue.length, 0);
+
+      await assert.rejects(connectClient(resumeUrl(ctx, hello)).then(client => client.nextMessage('hello')).then(message => {
+        if (!message.resumed) throw new Error('not resumed');
+      }));
+
+      await closeClient(second);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
+
+describe('pairing', () => {
+  test('rejects connections without a code or token', async () => {
+    const ctx = await startTestServer({ requirePairing: true });
+    try {
+      await assert.rejects(connectClient(ctx.wsUrl), { statusCode: 401 });
+      await assert.rejects(connectClient(`${ctx.wsUrl}?code=not-it`), { statusCode: 401 });
+      await assert.rejects(connectClient(`${ctx.wsUrl}?token=forged.token`), { statusCode: 401 });
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('exchanges a pairing code for a reusable token', async () => {
+    const ctx = await startTestServer({ requirePairing: true });
+    try {
+      const { code } = await (await fetch(`${ctx.baseUrl}/api/pairing`)).json();
+
+      const first = await connectClient(`${ctx.wsUrl}?code=${code}`);
+      const paired = await first.nextMessage('paired');
+      assert.ok(paired.token);
+
+      // Codes are single-use
+      await assert.rejects(connectClient(`${ctx.wsUrl}?code=${code}`), { statusCode: 401 });
+
+      const second = await connectClient(`${ctx.wsUrl}?token=${encodeURIComponent(paired.token)}`);
+      await closeClient(second);
+      await closeClient(first);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('locks out an address after repeated wrong codes, with a growing backoff', () => {
+    const pairing = createPairingManager();
+    try {
+      const start = Date.now();
+      const wrong = pairing.getCode().code === '000000' ? '000001' : '000000';
+      for (let i = 0; i < 5; i++) {
+        assert.equal(pairing.verifyCode(wrong, '10.0.0.9', start), false);
+      }
+      assert.equal(pairing.getLockout('10.0.0.9', start), 30 * 1000);
+
+      // Even the right code is refused while locked out
+      assert.equal(pairing.verifyCode(pairing.getCode().code, '10.0.0.9', start + 1000), false);
+
+      const later = start + 31 * 1000;
+      for (let i = 0; i < 5; i++) {
+        pairing.verifyCode(wrong, '10.0.0.9', later);
+      }
+      assert.equal(pairing.getLockout('10.0.0.9', later), 60 * 1000);
+    } finally {
+      pairing.stop();
+    }
+  });
+
+  test("one address guessing doesn't rotate the code or lock out others", async () => {
+    const ctx = await startTestServer({ requirePairing: true });
+    try {
+      const { code } = ctx.remote.pairing.getCode();
+      const wrong = code === '000000' ? '000001' : '000000';
+      for (let i = 0; i < 12; i++) {
+        ctx.remote.pairing.verifyCode(wrong, '192.168.1.66');
+      }
+      assert.ok(ctx.remote.pairing.getLockout('192.168.1.66') > 0);
+      assert.equal(ctx.remote.pairing.getCode().code, code);
+
+      const client = await connectClient(`${ctx.wsUrl}?code=${code}`);
+      assert.ok((await client.nextMessage('paired')).token);
+      await closeClient(client);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('refuses codes from a locked-out address with 429', async () => {
+    const ctx = await startTestServer({ requirePairing: true });
+    try {
+      const { code } = ctx.remote.pairing.getCode();
+      const wrong = code === '000000' ? '000001' : '000000';
+      for (let i = 0; i < 5; i++) {
+        await assert.rejects(connectClient(`${ctx.wsUrl}?code=${wrong}`), { statusCode: 401 });
+      }
+      await assert.rejects(connectClient(`${ctx.wsUrl}?code=${code}`), { statusCode: 429 });
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('revoking a session invalidates its token', async () => {
+    const ctx = await startTestServer({ requirePairing: true });
+    try {
+      const { code } = ctx.remote.pairing.getCode();
+      const client = await connectClient(`${ctx.wsUrl}?code=${code}`);
+      const { token } = await client.nextMessage('paired');
+      const [sessionId] = ctx.remote.sessions.keys();
+
+      assert.equal(ctx.remote.revokeSession(sessionId, 'test'), true);
+      await assert.rejects(connectClient(`${ctx.wsUrl}?token=${encodeURIComponent(token)}`), { statusCode: 401 });
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+
+  test('sessions are closed once their token expires', async () => {
+    const ctx = await startTestServer({ requirePairing: true, pairingTokenTtl: 30 });
+    try {
+      const { code } = ctx.remote.pairing.getCode();
+      const client = await connectClient(`${ctx.wsUrl}?code=${code}`);
+      const closed = new Promise(resolve => client.once('close', resolve));
+      await waitFor(() => ctx.remote.sessions.size === 1);
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      ctx.remote.cleanupInactiveSessions();
+      assert.equal(await closed, 4001);
+      assert.equal(ctx.remote.sessions.size, 0);
+    } finally {
+      await ctx.remote.stop();
+    }
+  });
+});
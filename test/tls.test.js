@@ -0,0 +1,62 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import https from 'https';
+import { mkdtemp, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadTlsCredentials } from '../lib/tls.js';
+import { loadConfig } from '../lib/config.js';
+import { startTestServer, connectClient, closeClient } from './helpers.js';
+
+describe('TLS', () => {
+  let dir;
+  let credentials;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'tls-'));
+    credentials = await loadTlsCredentials({ dir, hostnames: ['127.0.0.1'] });
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('generates a self-signed certificate once and reuses it', async () => {
+    assert.equal(credentials.generated, true);
+    assert.equal(credentials.selfSigned, true);
+    assert.match(credentials.fingerprint, /^([0-9A-F]{2}:){31}[0-9A-F]{2}$/);
+    assert.equal((await stat(join(dir, 'key.pem'))).mode & 0o777, 0o600);
+
+    const reloaded = await loadTlsCredentials({ dir, hostnames: ['127.0.0.1'] });
+    assert.equal(reloaded.generated, false);
+    assert.equal(reloaded.fingerprint, credentials.fingerprint);
+  });
+
+  test('loads a configured certificate and key', async () => {
+    const loaded = await loadTlsCredentials({ certFile: join(dir, 'cert.pem'), keyFile: join(dir, 'key.pem') });
+    assert.equal(loaded.fingerprint, credentials.fingerprint);
+    await assert.rejects(loadTlsCredentials({ certFile: join(dir, 'missing.pem'), keyFile: join(dir, 'key.pem') }));
+    assert.throws(() => loadConfig({ env: { HTTPS: 'true', TLS_CERT: 'cert.pem' } }), /set both or neither/);
+  });
+
+  test('serves HTTPS and WSS', async () => {
+    const ctx = await startTestServer({ tls: credentials });
+    assert.equal(ctx.remote.scheme, 'https');
+
+    const body = await new Promise((resolve, reject) => {
+      https.get(`https://127.0.0.1:${ctx.port}/health`, { ca: credentials.cert }, (res) => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve(JSON.parse(data)));
+      }).on('error', reject);
+    });
+    assert.equal(body.status, 'ok');
+
+    const client = await connectClient(`wss://127.0.0.1:${ctx.port}/ws`, { ca: credentials.cert });
+    await client.nextMessage('hello');
+    await closeClient(client);
+    await assert.rejects(connectClient(`wss://127.0.0.1:${ctx.port}/ws`), /self[- ]signed/);
+
+    await ctx.remote.stop();
+  });
+});
@@ -0,0 +1,280 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRemoteControlServer } from '../lib/server.js';
+import { startTestServer, connectClient, closeClient, waitFor } from './helpers.js';
+
+describe('WebSocket commands', () => {
+  let ctx;
+  let client;
+
+  before(async () => {
+    ctx = await startTestServer();
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  beforeEach(async () => {
+    if (client) await closeClient(client);
+    // Wait for the server to drop the old session so the new client gets control
+    await waitFor(() => ctx.remote.sessions.size === 0);
+    ctx.driver.reset();
+    client = await connectClient(ctx.wsUrl);
+  });
+
+  const calls = (method) => ctx.driver.callsTo(method);
+
+  test('move applies relative deltas', async () => {
+    ctx.driver.moveMouse(100, 100);
+    ctx.driver.reset();
+
+    client.sendJSON({ type: 'move', deltaX: 15, deltaY: -20 });
+    await waitFor(() => calls('moveMouse').length === 1);
+
+    assert.deepEqual(calls('moveMouse')[0].args, [115, 80]);
+  });
+
+  test('move clamps to the screen', async () => {
+    client.sendJSON({ type: 'move', deltaX: 10000, deltaY: -10000 });
+    await waitFor(() => calls('moveMouse').length === 1);
+
+    assert.deepEqual(calls('moveMouse')[0].args, [1919, 0]);
+  });
+
+  test('click and rightClick', async () => {
+    client.sendJSON({ type: 'click' });
+    client.sendJSON({ type: 'rightClick' });
+    await waitFor(() => calls('mouseClick').length === 2);
+
+    assert.deepEqual(calls('mouseClick').map(call => call.args[0]), ['left', 'right']);
+  });
+
+  test('middleClick and doubleClick', async () => {
+    client.sendJSON({ type: 'middleClick' });
+    client.sendJSON({ type: 'doubleClick' });
+    await waitFor(() => calls('mouseClick').length === 2);
+
+    assert.deepEqual(calls('mouseClick').map(call => call.args), [['middle', false], ['left', true]]);
+  });
+
+  test('scroll', async () => {
+    client.sendJSON({ type: 'scroll', deltaX: 0, deltaY: -5 });
+    await waitFor(() => calls('scrollMouse').length === 1);
+
+    assert.deepEqual(calls('scrollMouse')[0].args, [0, -5]);
+  });
+
+  test('scroll with modifiers holds them around the scroll (pinch zoom)', async () => {
+    client.sendJSON({ type: 'scroll', deltaY: 1, modifiers: ['control'] });
+    await waitFor(() => calls('keyToggle').length === 2);
+
+    assert.deepEqual(
+      ctx.driver.calls.map(call => [call.method, ...call.args.slice(0, 2)]),
+      [['keyToggle', 'control', 'down'], ['scrollMouse', 0, 1], ['keyToggle', 'control', 'up']]
+    );
+  });
+
+  test('mouseDown, move and mouseUp drag in order', async () => {
+    ctx.driver.moveMouse(100, 100);
+    ctx.driver.reset();
+
+    client.sendJSON({ type: 'mouseDown' });
+    client.sendJSON({ type: 'move', deltaX: 30, deltaY: 0 });
+    client.sendJSON({ type: 'mouseUp', button: 'left' });
+    await waitFor(() => calls('mouseToggle').length === 2);
+
+    // Buffered movement lands before the button is released
+    assert.deepEqual(
+      ctx.driver.calls.map(call => [call.method, ...call.args]),
+      [['mouseToggle', 'down', 'left'], ['moveMouse', 130, 100], ['mouseToggle', 'up', 'left']]
+    );
+  });
+
+  test('keyTap with modifiers', async () => {
+    client.sendJSON({ type: 'keyTap', key: 'Enter' });
+    client.sendJSON({ type: 'keyTap', key: 'c', modifiers: ['shift', 'alt'] });
+    await waitFor(() => calls('keyTap').length === 2);
+
+    assert.deepEqual(calls('keyTap')[0].args, ['enter', []]);
+    assert.deepEqual(calls('keyTap')[1].args, ['c', ['shift', 'alt']]);
+  });
+
+  test('keyTap rejects unknown keys and modifiers', async () => {
+    client.sendJSON({ type: 'keyTap', key: 'notakey' });
+    client.sendJSON({ type: 'keyTap', key: 'a', modifiers: ['hyper'] });
+    client.sendJSON({ type: 'keyTap', key: 'b' });
+    await waitFor(() => calls('keyTap').length === 1);
+
+    assert.deepEqual(calls('keyTap')[0].args, ['b', []]);
+    assert.equal((await client.nextMessage('error')).message, 'key is not a known key');
+    assert.equal((await client.nextMessage('error')).message, 'modifiers contains an unknown modifier');
+  });
+
+  test('keyDown and keyUp toggle keys', async () => {
+    client.sendJSON({ type: 'keyDown', key: 'alt' });
+    client.sendJSON({ type: 'keyUp', key: 'alt' });
+    await waitFor(() => calls('keyToggle').length === 2);
+
+    assert.deepEqual(calls('keyToggle').map(call => call.args.slice(0, 2)), [['alt', 'down'], ['alt', 'up']]);
+  });
+
+  test('held keys are released when the socket closes', async () => {
+    client.sendJSON({ type: 'keyDown', key: 'shift' });
+    await waitFor(() => calls('keyToggle').length === 1);
+
+    await closeClient(client);
+    await waitFor(() => calls('keyToggle').length === 2);
+    assert.deepEqual(calls('keyToggle')[1].args.slice(0, 2), ['shift', 'up']);
+  });
+
+  test('held mouse buttons are released when the socket closes', async () => {
+    client.sendJSON({ type: 'mouseDown', button: 'right' });
+    await waitFor(() => calls('mouseToggle').length === 1);
+
+    await closeClient(client);
+    await waitFor(() => calls('mouseToggle').length === 2);
+    assert.deepEqual(calls('mouseToggle')[1].args, ['up', 'right']);
+  });
+
+  test('slide actions tap the presentation keys', async () => {
+    for (const action of ['next', 'previous', 'start', 'blank', 'end']) {
+      client.sendJSON({ type: 'slide', action });
+    }
+    client.sendJSON({ type: 'slide', action: 'jump', seq: 1 });
+    assert.equal((await client.nextMessage('error')).code, 'INVALID_FIELD');
+
+    assert.deepEqual(calls('keyTap').map(call => call.args[0]), ['pagedown', 'pageup', 'f5', 'b', 'escape']);
+  });
+
+  test('typeText strips control characters and enforces the length limit', async () => {
+    client.sendJSON({ type: 'typeText', text: 'x'.repeat(501) });
+    client.sendJSON({ type: 'typeText', text: 'hello\u0007 world\r\n' });
+    await waitFor(() => calls('typeString').length === 1);
+
+    assert.deepEqual(calls('typeString')[0].args, ['hello world\n']);
+    assert.equal((await client.nextMessage('error')).code, 'INVALID_FIELD');
+  });
+
+  test('driver failures are reported to the client', async () => {
+    const { keyTap } = ctx.driver;
+    ctx.driver.keyTap = () => {
+      throw new Error('boom');
+    };
+    try {
+      client.sendJSON({ type: 'keyTap', key: 'a' });
+      const error = await client.nextMessage('error');
+      assert.equal(error.code, 'COMMAND_FAILED');
+    } finally {
+      ctx.driver.keyTap = keyTap;
+    }
+  });
+});
+
+describe('handshake and feedback', () => {
+  let ctx;
+
+  before(async () => {
+    ctx = await startTestServer({ cursorInterval: 30 });
+  });
+
+  after(async () => {
+    await ctx.remote.stop();
+  });
+
+  test('sends hello with the server-assigned session', async () => {
+    const client = await connectClient(ctx.wsUrl);
+    const hello = await client.nextMessage('hello');
+
+    assert.equal(hello.protocolVersion, 1);
+    assert.ok(ctx.remote.sessions.has(hello.sessionId));
+    assert.equal(hello.inputDriver, 'mock');
+    assert.equal(hello.inputAvailable, true);
+    assert.deepEqual(hello.screenSize, { width: 1920, height: 1080 });
+    assert.ok(hello.commands.includes('typeText'));
+    assert.deepEqual(hello.topics, ['cursor']);
+
+    await closeClient(client);
+  });
+
+  test('acks numbered messages and tags errors with their seq', async () => {
+    const client = await connectClient(ctx.wsUrl);
+
+    client.sendJSON({ type: 'click', seq: 7 });
+    assert.deepEqual(await client.nextMessage('ack'), { type: 'ack', seq: 7 });
+
+    client.sendJSON({ type: 'keyTap', key: 'nope', seq: 8 });
+    const error = await client.nextMessage('error');
+    assert.equal(error.code, 'INVALID_FIELD');
+    assert.equal(error.seq, 8);
+
+    // Unnumbered messages aren't acked
+    client.sendJSON({ type: 'click' });
+    client.sendJSON({ type: 'click', seq: 9 });
+    assert.equal((await client.nextMessage('ack')).seq, 9);
+
+    await closeClient(client);
+  });
+
+  test('pushes throttled cursor updates to subscribers', async () => {
+    const controller = await connectClient(ctx.wsUrl);
+    const subscriber = await connectClient(ctx.wsUrl);
+    ctx.driver.moveMouse(500, 500);
+
+    subscriber.sendJSON({ type: 'subscribe', topic: 'cursor', seq: 1 });
+    await subscriber.nextMessage('ack');
+    assert.deepEqual(await subscriber.nextMessage('cursor'), { type: 'cursor', x: 500, y: 500 });
+
+    // A burst of moves results in a single update with the final position
+    for (let i = 0; i < 5; i++) {
+      controller.sendJSON({ type: 'move', deltaX: 10, deltaY: 0 });
+    }
+    await waitFor(() => ctx.driver.getMousePos().x === 550);
+    const update = await subscriber.nextMessage('cursor');
+    assert.deepEqual(update, { type: 'cursor', x: 550, y: 500 });
+    assert.equal(controller.messages.filter(message => message.type === 'cursor').length, 0);
+
+    subscriber.sendJSON({ type: 'unsubscribe', topic: 'cursor', seq: 2 });
+    await subscriber.nextMessage('ack');
+    controller.sendJSON({ type: 'move', deltaX: 10, deltaY: 0 });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(subscriber.messages.filter(message => message.type === 'cursor').length, 0);
+
+    await closeClient(subscriber);
+    await closeClient(controller);
+  });
+
+  test('slide keys can be remapped, and bad mappings fail at startup', async () => {
+    assert.throws(() => createRemoteControlServer({ slideKeys: { start: { key: 'nope' } } }), /Invalid slide key for start/);
+
+    const keynote = await startTestServer({ slideKeys: { start: { key: 'P', modifiers: ['command', 'alt'] } } });
+    try {
+      const client = await connectClient(keynote.wsUrl);
+      client.sendJSON({ type: 'slide', action: 'start', seq: 1 });
+      await client.nextMessage('ack');
+      assert.deepEqual(keynote.driver.callsTo('keyTap')[0].args, ['P', ['command', 'alt']]);
+      await closeClient(client);
+    } finally {
+      await keynote.remote.stop();
+    }
+  });
+
+  test('reports missing input in server mode', async () => {
+    const serverMode = await startTestServer({ driver: null });
+    try {
+      const client = await connectClient(serverMode.wsUrl);
+      const hello = await client.nextMessage('hello');
+      assert.equal(hello.inputAvailable, false);
+      assert.equal(hello.screenSize, null);
+
+      client.sendJSON({ type: 'click', seq: 1 });
+      const error = await client.nextMessage('error');
+      assert.equal(error.code, 'INPUT_UNAVAILABLE');
+      assert.equal(error.seq, 1);
+
+      await closeClient(client);
+    } finally {
+      await serverMode.remote.stop();
+    }
+  });
+});